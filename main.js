@@ -1,4 +1,49 @@
-const { Plugin, Notice, Scope, TFolder, TFile, normalizePath } = require('obsidian');
+const { Plugin, MarkdownRenderChild, Notice, Scope, Modal, FuzzySuggestModal, TFolder, TFile, normalizePath, parseYaml, getAllTags, getLinkpath, moment } = require('obsidian');
+
+const PATH_SCHEMA = {
+    path: { type: 'string', key: 'path' },
+    recursive: { type: 'boolean', key: 'recursive' },
+    exclude: { type: 'list', key: 'exclude' }
+};
+
+const CONFIG_SCHEMA = {
+    paths: { type: 'list', key: 'paths', item: { type: 'path' } },
+    source: { type: 'list', key: 'sources', item: { type: 'source' } },
+    recursive: { type: 'boolean', key: 'recursive' },
+    exclude: { type: 'list', key: 'exclude' },
+    types: { type: 'list', key: 'types', item: { type: 'enum', values: ['image', 'video', 'audio'] } },
+    extensions: { type: 'list', key: 'extensions' },
+    from: { type: 'date', key: 'from' },
+    to: { type: 'date', key: 'to' },
+    match: { type: 'pattern', key: 'match' },
+    sort: {
+        type: 'list',
+        key: 'sortOrder',
+        item: {
+            type: 'enum',
+            values: [
+                'date-desc', 'date-asc', 'taken-desc', 'taken-asc', 'created-desc', 'created-asc',
+                'name-asc', 'name-desc', 'natural-asc', 'natural-desc', 'size-desc', 'size-asc',
+                'folder', 'folder-asc', 'folder-desc', 'random'
+            ]
+        }
+    },
+    seed: { type: 'string', key: 'seed' },
+    layout: { type: 'enum', key: 'layout', values: ['grid', 'masonry', 'justified'] },
+    group: { type: 'enum', key: 'group', values: ['none', 'day', 'month', 'year', 'folder'] },
+    mode: { type: 'enum', key: 'mode', values: ['all', 'on-this-day'] },
+    window: { type: 'days', key: 'window', max: 182 },
+    date: { type: 'date', key: 'date', allowNote: true },
+    lazy: { type: 'boolean', key: 'enableLazyLoad' },
+    virtual: { type: 'boolean', key: 'virtual' },
+    size: { type: 'integer', key: 'gridSize', min: 50, max: 2000 },
+    type: { type: 'enum', key: 'displayType', values: ['full', 'compact', 'carousel', 'playlist'] },
+    autoplay: { type: 'seconds', key: 'autoplay' },
+    poster: { type: 'poster', key: 'poster' },
+    preview: { type: 'boolean', key: 'hoverPreview' },
+    limit: { type: 'integer', key: 'limit', min: 1 },
+    batch: { type: 'integer', key: 'batchSize', min: 1 }
+};
 
 class LRUCache {
     constructor(maxSize = 100) {
@@ -24,1029 +69,5148 @@ class LRUCache {
         this.cache.set(key, value);
     }
 
+    delete(key) {
+        this.cache.delete(key);
+    }
+
     clear() {
         this.cache.clear();
     }
 }
 
-class MediaGalleryPlugin extends Plugin {
-    constructor(app, manifest) {
-        super(app, manifest);
-        this.thumbnailCache = new LRUCache(200);
-        this.intersectionObserver = null;
-        this.pendingRequests = new Map();
-        this.workerPool = [];
-        this.maxWorkers = 4;
+const THUMBNAIL_SIZE = 480;
+// Image thumbnails come in a few fixed sizes so one cached file serves nearby grid sizes
+const IMAGE_THUMBNAIL_SIZES = [256, 512, 1024, 2048];
+const LIGHTBOX_STRIP_THUMBNAIL_SIZE = 256;
+// GIFs would lose their animation, SVGs are already cheap to draw
+const THUMBNAIL_IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'avif'];
+// Formats a canvas can write back, so edits keep the file's own type
+const EDITABLE_IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const THUMBNAIL_CACHE_MAX_BYTES = 200 * 1024 * 1024;
+const THUMBNAIL_CACHE_MAX_ENTRIES = 50000;
+// Thumbnails kept as blob URLs when the cache folder cannot be written
+const THUMBNAIL_MEMORY_MAX_ENTRIES = 2000;
+// Largest file read in one piece when only part of it is needed
+const WHOLE_FILE_READ_LIMIT = 64 * 1024 * 1024;
+// Tags with large cover art still fit, the audio data around them is never read
+const AUDIO_TAG_READ_LIMIT = 16 * 1024 * 1024;
+// Even at 8 kHz, decoding expands compressed audio many times over; this is about a quarter hour of MP3
+const WAVEFORM_MAX_FILE_SIZE = 16 * 1024 * 1024;
+
+// Small thumbnails under the plugin folder, keyed by vault path and size and checked against mtime and size
+class ThumbnailCache {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.adapter = plugin.app.vault.adapter;
+        const pluginDir = plugin.manifest.dir || `${plugin.app.vault.configDir}/plugins/${plugin.manifest.id}`;
+        this.dir = normalizePath(`${pluginDir}/thumbnails`);
+        this.indexPath = `${this.dir}/index.json`;
+        this.entries = null;
+        this.loading = null;
+        this.saveTimer = null;
+        // Blob URLs handed out when the disk would not take a thumbnail, revoked once they are replaced
+        this.memoryUrls = new Map();
     }
 
-    async onload() {
-        this.initWorkerPool();
-
-        this.processor = this.registerMarkdownCodeBlockProcessor('memories', async (source, el, ctx) => {
-            try {
-                const config = this.parseConfig(source);
-                await this.createGallery(el, config, ctx);
-            } catch (error) {
-                console.error('Media Gallery Error:', error);
-                el.createEl('div', {
-                    text: 'Error loading gallery',
-                    cls: 'memories-gallery-error'
-                });
-            }
-        });
-        
-        this.initIntersectionObserver();
+    async load() {
+        if (this.entries) return;
+        if (!this.loading) {
+            this.loading = (async () => {
+                let entries = {};
+                try {
+                    if (await this.adapter.exists(this.indexPath)) {
+                        entries = JSON.parse(await this.adapter.read(this.indexPath)).entries || {};
+                    }
+                } catch (error) {
+                    console.warn('Thumbnail cache index is unreadable, starting over:', error);
+                }
+                this.entries = new Map(Object.entries(entries));
+            })();
+        }
+        await this.loading;
     }
 
-    parseConfig(source) {
-        const lines = source.trim().split('\n');
-        const config = {
-            paths: [],
-            sortOrder: 'date-desc',
-            enableLazyLoad: true,
-            gridSize: 200,
-            displayType: 'full',
-            limit: 50,
-            batchSize: 10,
-            preloadCount: 3
-        };
+    getKey(path, size) {
+        return `${size}/${path}`;
+    }
 
-        const cleanPath = (p) => {
-            let np = normalizePath((p || '').trim());
-            if (np === '.') np = './';
-            return np;
-        };
+    async get(file, size = THUMBNAIL_SIZE) {
+        await this.load();
+        const key = this.getKey(file.path, size);
+        const memory = this.memoryUrls.get(key);
+        if (memory && memory.mtime === file.stat.mtime && memory.size === file.stat.size) return memory.url;
         
-        for (let line of lines) {
-            line = line.trim();
-            if (line.startsWith('paths:')) {
-                const pathsStr = line.substring(6).trim();
-                config.paths = pathsStr
-                    .split(',')
-                    .map(cleanPath)
-                    .filter(Boolean);
-            } else if (line.startsWith('sort:')) {
-                config.sortOrder = line.substring(5).trim();
-            } else if (line.startsWith('lazy:')) {
-                config.enableLazyLoad = line.substring(5).trim() === 'true';
-            } else if (line.startsWith('size:')) {
-                config.gridSize = parseInt(line.substring(5).trim()) || 200;
-            } else if (line.startsWith('type:')) {
-                config.displayType = line.substring(5).trim();
-            } else if (line.startsWith('limit:')) {
-                config.limit = parseInt(line.substring(6).trim()) || 50;
-            } else if (line.startsWith('batch:')) {
-                config.batchSize = parseInt(line.substring(6).trim()) || 10;
-            } else if (line && !line.includes(':')) {
-                config.paths = [cleanPath(line)];
-            }
-        }
-        
-        if (config.paths.length === 0) {
-            config.paths = ['./'];
-        }
-        
-        if (config.displayType === 'compact' && !lines.some(line => line.trim().startsWith('limit:'))) {
-            config.limit = 9;
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        
+        if (entry.mtime !== file.stat.mtime || entry.size !== file.stat.size) {
+            await this.delete(file.path);
+            return null;
         }
         
-        return config;
+        entry.used = Date.now();
+        this.scheduleSave();
+        return this.adapter.getResourcePath(`${this.dir}/${entry.name}`);
     }
 
-    initWorkerPool() {
-        for (let i = 0; i < this.maxWorkers; i++) {
-            const worker = this.createThumbnailWorker();
-            if (worker) {
-                this.workerPool.push({
-                    worker,
-                    busy: false
-                });
+    async set(file, blob, size = THUMBNAIL_SIZE) {
+        await this.load();
+        await this.remove(this.getKey(file.path, size));
+        
+        const extension = { 'image/webp': 'webp', 'image/png': 'png' }[blob.type] || 'jpg';
+        const name = `${Date.now().toString(36)}-${hashString(file.path).toString(36)}.${extension}`;
+        try {
+            if (!(await this.adapter.exists(this.dir))) {
+                await this.adapter.mkdir(this.dir);
             }
+            await this.adapter.writeBinary(`${this.dir}/${name}`, await blob.arrayBuffer());
+        } catch (error) {
+            // Read-only or full disk: the thumbnail still works for this session
+            console.warn(`Could not cache thumbnail of ${file.path}:`, error);
+            return this.keepInMemory(this.getKey(file.path, size), file, blob);
         }
+        
+        this.entries.set(this.getKey(file.path, size), {
+            path: file.path,
+            name,
+            mtime: file.stat.mtime,
+            size: file.stat.size,
+            bytes: blob.size,
+            used: Date.now()
+        });
+        await this.evict();
+        this.scheduleSave();
+        return this.adapter.getResourcePath(`${this.dir}/${name}`);
     }
 
-    createThumbnailWorker() {
-        if (typeof Worker === 'undefined') return null;
-        
-        const workerCode = `
-            self.addEventListener('message', async (e) => {
-                const { id, videoPath, timestamp } = e.data;
-                try {
-                    const response = await fetch(videoPath);
-                    const blob = await response.blob();
-                    const url = URL.createObjectURL(blob);
-                    
-                    const video = document.createElement('video');
-                    video.crossOrigin = 'anonymous';
-                    video.muted = true;
-                    video.src = url;
-                    video.currentTime = timestamp;
-                    
-                    await new Promise((resolve, reject) => {
-                        video.onloadeddata = resolve;
-                        video.onerror = reject;
-                        setTimeout(resolve, 1000);
-                    });
-                    
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-                    canvas.width = video.videoWidth;
-                    canvas.height = video.videoHeight;
-                    ctx.drawImage(video, 0, 0, video.videoWidth, video.videoHeight);
-                    
-                    const thumbnail = canvas.toDataURL('image/jpeg', 0.8);
-                    URL.revokeObjectURL(url);
-                    
-                    self.postMessage({ id, thumbnail });
-                } catch (error) {
-                    self.postMessage({ id, error: error.message });
-                }
-            });
-        `;
+    keepInMemory(key, file, blob) {
+        const url = URL.createObjectURL(blob);
+        this.memoryUrls.set(key, { path: file.path, url, mtime: file.stat.mtime, size: file.stat.size });
         
-        try {
-            const blob = new Blob([workerCode], { type: 'application/javascript' });
-            return new Worker(URL.createObjectURL(blob));
-        } catch (error) {
-            console.warn('Web Workers not supported, falling back to main thread');
-            return null;
+        // Oldest first, Maps keep insertion order
+        for (const oldKey of this.memoryUrls.keys()) {
+            if (this.memoryUrls.size <= THUMBNAIL_MEMORY_MAX_ENTRIES) break;
+            this.forgetMemoryUrl(oldKey);
         }
+        return url;
     }
 
-    async getVideoThumbnailWorker(file, resourcePath) {
-        if (this.thumbnailCache.has(file.path)) {
-            return this.thumbnailCache.get(file.path);
+    forgetMemoryUrl(key) {
+        const memory = this.memoryUrls.get(key);
+        if (!memory) return;
+        this.memoryUrls.delete(key);
+        URL.revokeObjectURL(memory.url);
+    }
+
+    async delete(path) {
+        await this.load();
+        for (const [key, memory] of [...this.memoryUrls]) {
+            if (memory.path === path) this.forgetMemoryUrl(key);
         }
-        
-        const availableWorker = this.workerPool.find(w => !w.busy);
-        if (!availableWorker) {
-            return this.getVideoThumbnailFallback(file, resourcePath);
+        for (const [key, entry] of [...this.entries]) {
+            if (entry.path === path) await this.remove(key);
         }
+    }
+
+    async remove(key) {
+        this.forgetMemoryUrl(key);
+        const entry = this.entries.get(key);
+        if (!entry) return;
         
-        return new Promise((resolve) => {
-            const id = `${file.path}-${Date.now()}`;
-            availableWorker.busy = true;
-            
-            const messageHandler = (e) => {
-                if (e.data.id === id) {
-                    availableWorker.worker.removeEventListener('message', messageHandler);
-                    availableWorker.busy = false;
-                    
-                    if (e.data.thumbnail) {
-                        this.thumbnailCache.set(file.path, e.data.thumbnail);
-                        resolve(e.data.thumbnail);
-                    } else {
-                        resolve(this.getVideoThumbnailFallback(file, resourcePath));
-                    }
-                }
-            };
-            
-            availableWorker.worker.addEventListener('message', messageHandler);
-            availableWorker.worker.postMessage({
-                id,
-                videoPath: resourcePath,
-                timestamp: 1
-            });
-            
-            setTimeout(() => {
-                availableWorker.worker.removeEventListener('message', messageHandler);
-                availableWorker.busy = false;
-                resolve(this.getVideoThumbnailFallback(file, resourcePath));
-            }, 5000);
-        });
+        this.entries.delete(key);
+        this.scheduleSave();
+        try {
+            await this.adapter.remove(`${this.dir}/${entry.name}`);
+        } catch (error) {
+            // Already gone
+        }
     }
 
-    async getVideoThumbnailFallback(file, resourcePath) {
-        if (this.thumbnailCache.has(file.path)) {
-            return this.thumbnailCache.get(file.path);
+    async rename(oldPath, newPath) {
+        await this.load();
+        for (const [key, memory] of [...this.memoryUrls]) {
+            if (memory.path !== oldPath) continue;
+            this.memoryUrls.delete(key);
+            memory.path = newPath;
+            this.memoryUrls.set(key.slice(0, key.length - oldPath.length) + newPath, memory);
         }
-        
-        return new Promise((resolve) => {
-            const video = document.createElement('video');
-            const canvas = document.createElement('canvas');
-            
-            video.crossOrigin = 'anonymous';
-            video.muted = true;
-            video.src = resourcePath;
-            video.currentTime = 1;
-            
-            let loaded = false;
-            
-            const cleanup = () => {
-                if (!loaded) {
-                    video.remove();
-                    canvas.remove();
-                    resolve(null);
-                }
-            };
-            
-            setTimeout(cleanup, 3000);
-            
-            video.onloadeddata = () => {
-                loaded = true;
-                try {
-                    const ctx = canvas.getContext('2d');
-                    canvas.width = video.videoWidth;
-                    canvas.height = video.videoHeight;
-                    ctx.drawImage(video, 0, 0, video.videoWidth, video.videoHeight);
-                    
-                    const thumbnail = canvas.toDataURL('image/jpeg', 0.8);
-                    this.thumbnailCache.set(file.path, thumbnail);
-                    
-                    resolve(thumbnail);
-                } catch (error) {
-                    resolve(null);
-                } finally {
-                    video.remove();
-                    canvas.remove();
-                }
-            };
-            
-            video.onerror = cleanup;
-        });
+        for (const [key, entry] of [...this.entries]) {
+            if (entry.path !== oldPath) continue;
+            this.entries.delete(key);
+            entry.path = newPath;
+            this.entries.set(key.slice(0, key.length - oldPath.length) + newPath, entry);
+        }
+        this.scheduleSave();
     }
 
-    async createGallery(el, config, ctx) {
-        el.empty();
-        el.ctx = ctx;
+    async evict() {
+        let totalBytes = 0;
+        for (const entry of this.entries.values()) totalBytes += entry.bytes;
+        if (totalBytes <= THUMBNAIL_CACHE_MAX_BYTES && this.entries.size <= THUMBNAIL_CACHE_MAX_ENTRIES) return;
         
-        this.thumbnailCache.clear();
-        this.pendingRequests.clear();
+        const oldestFirst = [...this.entries].sort((a, b) => a[1].used - b[1].used);
+        for (const [key, entry] of oldestFirst) {
+            if (totalBytes <= THUMBNAIL_CACHE_MAX_BYTES && this.entries.size <= THUMBNAIL_CACHE_MAX_ENTRIES) break;
+            totalBytes -= entry.bytes;
+            await this.remove(key);
+        }
+    }
 
-        const loadingIndicator = el.createEl('div', { 
-            cls: 'memories-gallery-loading',
-            text: 'Loading gallery...' 
-        });
-        
-        try {
-            const controller = new AbortController();
-            ctx.containerEl.onNodeRemoved = () => controller.abort();
-            
-            const allMediaFiles = await this.loadMediaFiles(config.paths, controller.signal);
-            
-            if (allMediaFiles.length === 0) {
-                loadingIndicator.remove();
-                el.createEl('div', {
-                    text: 'No media files found',
-                    cls: 'memories-gallery-empty'
-                });
-                return;
-            }
-            
-            const sortedFiles = this.sortFiles(allMediaFiles, config.sortOrder);
-            loadingIndicator.remove();
-            
-            await this.renderGallery(el, sortedFiles, config, controller.signal);
-            
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                loadingIndicator.remove();
-                el.createEl('div', {
-                    text: `Error: ${error.message}`,
-                    cls: 'memories-gallery-error'
-                });
+    async prune() {
+        // Catches files that changed while the plugin was not running
+        await this.load();
+        for (const [key, entry] of [...this.entries]) {
+            const file = this.plugin.app.vault.getAbstractFileByPath(entry.path);
+            if (!(file instanceof TFile) || file.stat.mtime !== entry.mtime || file.stat.size !== entry.size) {
+                await this.remove(key);
             }
         }
     }
 
-    async loadMediaFiles(paths, signal) {
-        const allMediaFiles = [];
+    async clear() {
+        await this.load();
+        let freed = 0;
+        for (const entry of this.entries.values()) freed += entry.bytes;
         
-        if (paths.length === 1 && paths[0] === './') {
-            const rootFolder = this.app.vault.getRoot();
-            allMediaFiles.push(...this.getAllMediaFromRoot(rootFolder));
-        } else {
-            for (const folderPath of paths) {
-                if (signal.aborted) break;
-                
-                const folder = this.app.vault.getAbstractFileByPath(folderPath);
-                if (!folder) continue;
-                
-                if (folder instanceof TFolder) {
-                    const mediaFiles = this.getMediaFiles(folder);
-                    allMediaFiles.push(...mediaFiles);
-                }
-            }
+        this.entries.clear();
+        this.releaseMemoryUrls();
+        window.clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (await this.adapter.exists(this.dir)) {
+            await this.adapter.rmdir(this.dir, true);
         }
-        
-        return allMediaFiles;
+        return freed;
     }
 
-    async renderGallery(el, files, config, signal) {
-        const galleryContainer = el.createEl('div', { cls: 'memories-media-gallery-container' });
-        galleryContainer.ctx = el.ctx;
-        galleryContainer._config = config;
+    releaseMemoryUrls() {
+        for (const key of [...this.memoryUrls.keys()]) this.forgetMemoryUrl(key);
+    }
 
-        const infoBar = galleryContainer.createEl('div', { cls: 'memories-gallery-info-bar' });
-        
-        const leftInfo = infoBar.createEl('div', { cls: 'memories-gallery-info-left' });
-        const rightActions = infoBar.createEl('div', { cls: 'memories-gallery-info-right' });
-        
-        const totalBytes = files.reduce((sum, file) => sum + file.stat.size, 0);
-        const totalSize = this.formatFileSize(totalBytes);
-        
-        const totalFilesItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
-        totalFilesItem.createEl('span', { 
-            cls: 'memories-info-icon',
-            text: '🖼️' 
-        });
-        totalFilesItem.createEl('span', { 
-            cls: 'memories-info-text',
-            text: `${files.length} files` 
-        });
-        
-        const totalSizeItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
-        totalSizeItem.createEl('span', { 
-            cls: 'memories-info-icon',
-            text: '💾' 
-        });
-        totalSizeItem.createEl('span', { 
-            cls: 'memories-info-text',
-            text: totalSize 
-        });
-        
-        if (config.displayType === 'compact') {
-            const showingItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
-            showingItem.createEl('span', { 
-                cls: 'memories-info-icon',
-                text: '👁️' 
-            });
-            showingItem.createEl('span', { 
-                cls: 'memories-info-text',
-                text: `Showing ${Math.min(files.length, config.limit)}` 
+    scheduleSave() {
+        if (this.saveTimer !== null) return;
+        this.saveTimer = window.setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.warn('Could not save thumbnail cache index:', error));
+        }, 1000);
+    }
+
+    async save() {
+        if (!this.entries) return;
+        if (!(await this.adapter.exists(this.dir))) {
+            await this.adapter.mkdir(this.dir);
+        }
+        await this.adapter.write(this.indexPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+    }
+
+    async flush() {
+        if (this.saveTimer === null) return;
+        window.clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.save();
+    }
+}
+
+const THUMBNAIL_PRIORITY = { visible: 0, background: 1 };
+// Mean luma out of 255 below which a frame counts as a fade from black
+const BLACK_FRAME_LUMA = 24;
+const VIDEO_SPRITE_FRAMES = 10;
+const VIDEO_SPRITE_FRAME_SIZE = 240;
+const THUMBNAIL_JOB_TIMEOUT = 20000;
+
+// Runs thumbnail jobs a few at a time, most urgent first. Jobs with the same key are shared,
+// and a job is dropped once every caller that asked for it has aborted.
+class ThumbnailScheduler {
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.queue = [];
+        this.jobs = new Map();
+        this.running = 0;
+        this.sequence = 0;
+    }
+
+    schedule(key, task, { priority = THUMBNAIL_PRIORITY.background, signal = null } = {}) {
+        let job = this.jobs.get(key);
+        if (!job) {
+            job = {
+                key,
+                task,
+                priority,
+                order: this.sequence++,
+                waiters: 0,
+                pinned: false,
+                started: false,
+                controller: new AbortController()
+            };
+            job.promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
             });
+            this.jobs.set(key, job);
+            this.queue.push(job);
+        } else if (priority < job.priority) {
+            job.priority = priority;
         }
         
-        this.createUploadButton(rightActions, config, files, galleryContainer);
-        
-        const grid = galleryContainer.createEl('div', { cls: 'memories-media-gallery-grid' });
-        grid.style.setProperty('--memories-grid-size', `${config.gridSize}px`);
-        
-        const filesToDisplay = config.displayType === 'compact' ? 
-            files.slice(0, config.limit) : 
-            files;
-        
-        grid.dataset.allFiles = JSON.stringify(files.map(f => ({ name: f.name, path: f.path })));
-        
-        await this.renderBatchItems(grid, filesToDisplay, config, signal, 0);
+        this.attach(job, signal);
+        this.pump();
+        return job.promise;
     }
 
-    async renderBatchItems(container, files, config, signal, startIndex = 0) {
-        const batchSize = config.batchSize || 10;
-        const endIndex = Math.min(startIndex + batchSize, files.length);
+    attach(job, signal) {
+        if (!signal) {
+            job.pinned = true;
+            return;
+        }
+        if (signal.aborted) {
+            // Cancels right away unless another caller still wants the job
+            job.waiters++;
+            this.release(job);
+            return;
+        }
+        job.waiters++;
+        signal.addEventListener('abort', () => this.release(job), { once: true });
+    }
+
+    release(job) {
+        job.waiters--;
+        if (job.waiters > 0 || job.pinned || this.jobs.get(job.key) !== job) return;
         
-        for (let i = startIndex; i < endIndex; i++) {
-            if (signal.aborted) return;
-            
-            const file = files[i];
-            const item = container.createEl('div', { cls: 'memories-gallery-item' });
-            
-            if (config.enableLazyLoad) {
-                item.dataset.file = JSON.stringify({
-                    name: file.name,
-                    path: file.path,
-                    index: i
-                });
-                item.classList.add('lazy-load');
-                
-                const placeholder = item.createEl('div', { cls: 'memories-gallery-placeholder' });
-                placeholder.createEl('span', { text: this.getFileTypeIcon(file.name) });
-                
-                this.intersectionObserver.observe(item);
-            } else {
-                const grid = container.closest('.memories-media-gallery-grid');
-                let allMediaFiles = [file];
-                if (grid && grid.dataset.allFiles) {
-                    allMediaFiles = JSON.parse(grid.dataset.allFiles).map(fileInfo => 
-                        this.app.vault.getAbstractFileByPath(fileInfo.path)
-                    ).filter(Boolean);
+        this.jobs.delete(job.key);
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) this.queue.splice(queued, 1);
+        job.controller.abort();
+        job.reject(new DOMException('Thumbnail job cancelled', 'AbortError'));
+    }
+
+    pump() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            let best = 0;
+            for (let i = 1; i < this.queue.length; i++) {
+                const job = this.queue[i];
+                const current = this.queue[best];
+                if (job.priority < current.priority || (job.priority === current.priority && job.order < current.order)) {
+                    best = i;
                 }
-                await this.loadMediaElement(item, file, i, allMediaFiles);
             }
+            
+            const job = this.queue.splice(best, 1)[0];
+            job.started = true;
+            this.running++;
+            Promise.resolve()
+                .then(() => job.task(job.controller.signal))
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.running--;
+                    if (this.jobs.get(job.key) === job) this.jobs.delete(job.key);
+                    this.pump();
+                });
         }
-        
-        if (endIndex < files.length && !signal.aborted) {
-            await new Promise(resolve => setTimeout(resolve, 0));
-            await this.renderBatchItems(container, files, config, signal, endIndex);
+    }
+
+    clear() {
+        for (const job of this.jobs.values()) {
+            job.controller.abort();
+            job.reject(new DOMException('Thumbnail job cancelled', 'AbortError'));
         }
+        this.jobs.clear();
+        this.queue = [];
     }
+}
 
-    initIntersectionObserver() {
-        this.intersectionObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const item = entry.target;
-                    this.loadMediaElement(item).catch(console.error);
-                    this.intersectionObserver.unobserve(item);
-                }
-            });
-        }, {
-            rootMargin: '100px 0px',
-            threshold: 0.1
-        });
+const VIRTUAL_GRID_THRESHOLD = 300;
+const VIRTUAL_GRID_BUFFER_ROWS = 3;
+// Sync and bulk moves fire a burst of events; wait for it to settle before patching
+const GALLERY_UPDATE_DELAY = 300;
+
+class VirtualGrid {
+    constructor(plugin, grid, files, config, signal) {
+        this.plugin = plugin;
+        this.grid = grid;
+        this.files = files;
+        this.config = config;
+        this.items = new Map();
+        this.scroller = null;
+        this.columns = 1;
+        this.tileSize = config.gridSize;
+        this.gap = 0;
+        this.paddingTop = 0;
+        this.paddingLeft = 0;
+        this.frame = null;
+
+        grid.classList.add('memories-virtual-grid');
+
+        this.onScroll = () => this.scheduleUpdate();
+        this.resizeObserver = typeof ResizeObserver !== 'undefined' ?
+            new ResizeObserver(() => {
+                this.measure();
+                this.scheduleUpdate();
+            }) :
+            null;
+        if (this.resizeObserver) this.resizeObserver.observe(grid);
+        signal.addEventListener('abort', () => this.destroy());
+
+        this.measure();
+        this.update();
     }
 
-    async loadMediaElement(element, file = null, index = null, allMediaFiles = null) {
-        if (!file && element.dataset.file) {
-            const fileData = JSON.parse(element.dataset.file);
-            file = this.app.vault.getAbstractFileByPath(fileData.path);
-            index = fileData.index;
-            
-            const grid = element.closest('.memories-media-gallery-grid');
-            if (grid && grid.dataset.allFiles) {
-                allMediaFiles = JSON.parse(grid.dataset.allFiles).map(fileInfo => 
-                    this.app.vault.getAbstractFileByPath(fileInfo.path)
-                ).filter(Boolean);
-            } else if (fileData.allFiles) {
-                allMediaFiles = fileData.allFiles.map(fileInfo => 
-                    this.app.vault.getAbstractFileByPath(fileInfo.path)
-                ).filter(Boolean);
-            }
+    attachScroller() {
+        if (this.scroller || !this.grid.isConnected) return;
+
+        let parent = this.grid.parentElement;
+        while (parent && parent !== document.body) {
+            const overflow = getComputedStyle(parent).overflowY;
+            if (overflow === 'auto' || overflow === 'scroll') break;
+            parent = parent.parentElement;
         }
-        
-        if (!file) return;
-        
-        const requestKey = file.path;
-        if (this.pendingRequests.has(requestKey)) {
-            return;
+        this.scroller = parent && parent !== document.body ? parent : window;
+        this.scroller.addEventListener('scroll', this.onScroll, { passive: true });
+    }
+
+    measure() {
+        const style = getComputedStyle(this.grid);
+        this.gap = parseFloat(style.columnGap) || 0;
+        this.paddingTop = parseFloat(style.paddingTop) || 0;
+        this.paddingLeft = parseFloat(style.paddingLeft) || 0;
+        const width = this.grid.clientWidth - this.paddingLeft - (parseFloat(style.paddingRight) || 0);
+
+        if (width > 0) {
+            this.columns = Math.max(1, Math.floor((width + this.gap) / (this.config.gridSize + this.gap)));
+            // Columns stretch to fill the row, like the regular grid's 1fr tracks
+            this.tileSize = (width - this.gap * (this.columns - 1)) / this.columns;
         }
-        
-        this.pendingRequests.set(requestKey, true);
-        
-        try {
-            element.empty();
-            element.classList.remove('lazy-load');
-            
-            const resourcePath = this.app.vault.getResourcePath(file);
-            
-            if (this.isImage(file.name)) {
-                await this.loadImageElement(element, file, resourcePath, allMediaFiles, index);
-            } else if (this.isVideo(file.name)) {
-                await this.loadVideoElement(element, file, resourcePath, allMediaFiles, index);
-            } else if (this.isAudio(file.name)) {
-                this.loadAudioElement(element, file, allMediaFiles, index);
+
+        const rows = Math.ceil(this.files.length / this.columns);
+        const contentHeight = rows > 0 ? rows * this.tileSize + (rows - 1) * this.gap : 0;
+        this.grid.style.height = `${contentHeight + this.paddingTop + (parseFloat(style.paddingBottom) || 0)}px`;
+    }
+
+    scheduleUpdate() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    getVisibleRows() {
+        const rowHeight = this.tileSize + this.gap;
+        const gridTop = this.grid.getBoundingClientRect().top + this.paddingTop;
+        const viewTop = this.scroller && this.scroller !== window ? this.scroller.getBoundingClientRect().top : 0;
+        const viewBottom = this.scroller && this.scroller !== window ?
+            this.scroller.getBoundingClientRect().bottom :
+            window.innerHeight;
+
+        return {
+            first: Math.floor((viewTop - gridTop) / rowHeight),
+            last: Math.floor((viewBottom - gridTop) / rowHeight)
+        };
+    }
+
+    update() {
+        this.attachScroller();
+
+        const rowCount = Math.ceil(this.files.length / this.columns);
+        const visible = this.getVisibleRows();
+        const firstRow = Math.max(0, visible.first - VIRTUAL_GRID_BUFFER_ROWS);
+        const lastRow = Math.min(rowCount - 1, visible.last + VIRTUAL_GRID_BUFFER_ROWS);
+        const start = firstRow * this.columns;
+        const end = Math.min(this.files.length, (lastRow + 1) * this.columns);
+
+        const wanted = new Set();
+        for (let i = start; i < end; i++) {
+            wanted.add(this.files[i].path);
+        }
+
+        for (const [path, item] of this.items) {
+            if (!wanted.has(path)) {
+                this.plugin.discardGalleryItem(item);
+                this.items.delete(path);
             }
-        } catch (error) {
-            console.error('Error loading media element:', error);
-            this.showErrorState(element, file.name);
-        } finally {
-            this.pendingRequests.delete(requestKey);
         }
-    }
 
-    async loadImageElement(element, file, resourcePath, allMediaFiles, index) {
-        const img = element.createEl('img', {
-            attr: {
-                src: resourcePath,
-                alt: file.name,
-                loading: 'lazy'
+        for (let i = start; i < end; i++) {
+            const file = this.files[i];
+            let item = this.items.get(file.path);
+            if (!item) {
+                item = this.grid.createEl('div', { cls: 'memories-gallery-item' });
+                this.items.set(file.path, item);
+                this.plugin.populateGalleryItem(item, file, i, this.config).catch(console.error);
             }
-        });
-        
-        requestIdleCallback(() => {
-            this.registerDomEvent(img, 'click', () => {
-                const galleryContainer = element.closest('.memories-media-gallery-container');
-                openMediaLightbox(this.app, allMediaFiles || [file], index || 0, () => {
-                    this.refreshCurrentGallery(galleryContainer);
-                }, galleryContainer);
-            });
-        });
+            item._media.index = i;
+            this.positionItem(item, i);
+        }
     }
 
-    async loadVideoElement(element, file, resourcePath, allMediaFiles, index) {
-        const container = element.createEl('div', { cls: 'memories-video-thumbnail-container' });
-        
-        try {
-            const thumbnail = await this.getVideoThumbnailWorker(file, resourcePath);
-            
-            if (thumbnail) {
-                container.createEl('img', {
-                    attr: {
-                        src: thumbnail,
-                        alt: file.name,
-                        loading: 'lazy'
-                    }
-                });
-            } else {
-                container.createEl('video', {
-                    attr: {
-                        src: resourcePath,
-                        muted: true,
-                        preload: 'metadata'
+    positionItem(item, index) {
+        const row = Math.floor(index / this.columns);
+        const column = index % this.columns;
+        item.style.top = `${this.paddingTop + row * (this.tileSize + this.gap)}px`;
+        item.style.left = `${this.paddingLeft + column * (this.tileSize + this.gap)}px`;
+        item.style.width = `${this.tileSize}px`;
+        item.style.height = `${this.tileSize}px`;
+    }
+
+    setFiles(files, changedPaths = new Set()) {
+        for (const path of changedPaths) {
+            const item = this.items.get(path);
+            if (!item) continue;
+            this.plugin.discardGalleryItem(item);
+            this.items.delete(path);
+        }
+
+        // Keep the first visible tile where it is when files are added or removed above it
+        const visible = this.getVisibleRows();
+        const anchorIndex = visible.first > 0 ? visible.first * this.columns : -1;
+        const anchor = anchorIndex >= 0 ? this.files[anchorIndex] : null;
+
+        this.files = files;
+        this.measure();
+
+        if (anchor && this.scroller) {
+            const newIndex = files.indexOf(anchor);
+            if (newIndex !== -1) {
+                const rowHeight = this.tileSize + this.gap;
+                const shift = (Math.floor(newIndex / this.columns) - Math.floor(anchorIndex / this.columns)) * rowHeight;
+                if (shift !== 0) {
+                    if (this.scroller === window) {
+                        window.scrollBy(0, shift);
+                    } else {
+                        this.scroller.scrollTop += shift;
                     }
-                });
-            }
-        } catch (error) {
-            container.createEl('video', {
-                attr: {
-                    src: resourcePath,
-                    muted: true,
-                    preload: 'metadata'
                 }
-            });
+            }
         }
+
+        this.update();
+    }
+
+    destroy() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.scroller) this.scroller.removeEventListener('scroll', this.onScroll);
+        for (const item of this.items.values()) {
+            this.plugin.discardGalleryItem(item);
+        }
+        this.items.clear();
+    }
+}
+
+class AudioPlayer {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.audio = null;
+        this.queue = [];
+        // Queue indexes in play order, so shuffling never reorders the track list itself
+        this.order = [];
+        this.position = -1;
+        this.owner = null;
+        this.shuffle = false;
+        this.repeat = 'off';
+        this.listeners = new Set();
+    }
+
+    get file() {
+        return this.position >= 0 ? this.queue[this.order[this.position]] : null;
+    }
+
+    get playing() {
+        return Boolean(this.audio && this.file && !this.audio.paused);
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    ensureAudio() {
+        if (this.audio) return this.audio;
         
-        const playIcon = container.createEl('div', { cls: 'memories-video-play-icon' });
-        playIcon.setText('▶');
-        
-        requestIdleCallback(() => {
-            this.registerDomEvent(element, 'click', () => {
-                const galleryContainer = element.closest('.memories-media-gallery-container');
-                openMediaLightbox(this.app, allMediaFiles || [file], index || 0, () => {
-                    this.refreshCurrentGallery(galleryContainer);
-                }, galleryContainer);
-            });
+        // Never attached to a note, so playback survives the playlist being scrolled away or re-rendered
+        this.audio = new Audio();
+        this.audio.preload = 'metadata';
+        for (const type of ['play', 'pause', 'timeupdate', 'durationchange']) {
+            this.audio.addEventListener(type, () => this.notify());
+        }
+        this.audio.addEventListener('play', () => this.setPlaybackState('playing'));
+        this.audio.addEventListener('pause', () => this.setPlaybackState('paused'));
+        this.audio.addEventListener('ended', () => this.advance(1, true));
+        this.audio.addEventListener('error', () => {
+            if (this.file) new Notice(`Could not play ${this.file.name}`);
         });
+        this.registerMediaSession();
+        return this.audio;
     }
 
-    loadAudioElement(element, file, allMediaFiles, index) {
-        const container = element.createEl('div', { cls: 'memories-audio-thumbnail-container' });
-        const icon = container.createEl('div', { cls: 'memories-audio-icon' });
-        icon.setText('🎵');
-        
-        const fileName = container.createEl('div', { cls: 'memories-audio-filename' });
-        fileName.textContent = file.name;
-        
-        requestIdleCallback(() => {
-            this.registerDomEvent(container, 'click', () => {
-                const galleryContainer = element.closest('.memories-media-gallery-container');
-                openMediaLightbox(this.app, allMediaFiles || [file], index || 0, () => {
-                    this.refreshCurrentGallery(galleryContainer);
-                }, galleryContainer);
-            });
+    play(queue, index, owner) {
+        this.queue = queue;
+        this.owner = owner;
+        this.buildOrder(index);
+        this.load();
+    }
+
+    setQueue(queue) {
+        const current = this.file;
+        if (!current) return;
+        if (!queue.includes(current)) {
+            this.stop();
+            return;
+        }
+        this.queue = queue;
+        this.buildOrder(queue.indexOf(current));
+        this.notify();
+    }
+
+    buildOrder(index) {
+        const indexes = this.queue.map((file, i) => i);
+        if (this.shuffle) {
+            // The chosen track plays first, the rest follow in random order
+            const rest = indexes.filter(i => i !== index);
+            for (let i = rest.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [rest[i], rest[j]] = [rest[j], rest[i]];
+            }
+            this.order = [index, ...rest];
+            this.position = 0;
+        } else {
+            this.order = indexes;
+            this.position = index;
+        }
+    }
+
+    load() {
+        const audio = this.ensureAudio();
+        const file = this.file;
+        audio.src = this.plugin.app.vault.getResourcePath(file);
+        audio.play().catch(error => {
+            if (error.name !== 'AbortError') console.warn(`Could not play ${file.path}:`, error);
         });
+        this.updateMediaMetadata(file);
+        this.notify();
     }
 
-    async refreshCurrentGallery(galleryContainer) {
-        if (!galleryContainer) return;
+    togglePlay() {
+        if (!this.file) return;
+        if (this.audio.paused) {
+            this.audio.play().catch(error => console.warn(`Could not play ${this.file.path}:`, error));
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    advance(direction, ended = false) {
+        if (!this.file) return;
         
-        try {
-            const parentEl = galleryContainer.parentElement;
-            const config = galleryContainer._config;
-            const ctx = galleryContainer.ctx;
-            
-            if (parentEl && config && ctx) {
-                galleryContainer.classList.add('memories-gallery-refreshing');
-                
-                const scrollPos = window.scrollY;
-                
-                parentEl.empty();
-                await this.createGallery(parentEl, config, ctx);
-                
-                window.scrollTo(0, scrollPos);
-                
-                galleryContainer.classList.remove('memories-gallery-refreshing');
+        if (ended && this.repeat === 'one') {
+            this.audio.currentTime = 0;
+            this.audio.play().catch(() => {});
+            return;
+        }
+        // Like most players, "previous" a few seconds into a track restarts it
+        if (direction < 0 && this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+        
+        let position = this.position + direction;
+        if (position >= this.order.length || position < 0) {
+            if (this.repeat !== 'all') {
+                if (ended) this.notify();
+                return;
             }
-        } catch (error) {
-            console.error('Error refreshing gallery:', error);
-            if (galleryContainer) {
-                galleryContainer.classList.remove('memories-gallery-refreshing');
+            if (position >= 0 && this.shuffle) {
+                // A fresh shuffle for the next round, without repeating the last track straight away
+                const last = this.order[this.order.length - 1];
+                do {
+                    this.buildOrder(Math.floor(Math.random() * this.queue.length));
+                } while (this.queue.length > 1 && this.order[0] === last);
+                position = 0;
+            } else {
+                position = (position + this.order.length) % this.order.length;
             }
         }
+        this.position = position;
+        this.load();
     }
 
-    showErrorState(element, filename) {
-        element.empty();
-        const errorDiv = element.createEl('div', { cls: 'memories-gallery-error-state' });
-        errorDiv.createEl('div', { text: '❌' });
-        errorDiv.createEl('div', { 
-            text: filename,
-            cls: 'memories-gallery-error-filename'
-        });
+    seek(time) {
+        if (!this.file || !Number.isFinite(time)) return;
+        this.audio.currentTime = Math.max(0, Math.min(time, this.audio.duration || time));
     }
 
-    getAllMediaFromRoot(folder) {
-        const mediaFiles = [];
+    toggleShuffle() {
+        this.shuffle = !this.shuffle;
+        if (this.file) this.buildOrder(this.order[this.position]);
+        this.notify();
+    }
 
-        const traverse = (currentFolder) => {
-            if (!(currentFolder instanceof TFolder)) return;
-            
-            for (const child of currentFolder.children) {
-                if (child instanceof TFolder) {
-                    traverse(child);
-                } else if (child instanceof TFile) {
-                    if (this.isMediaFile(child.name)) {
-                        mediaFiles.push(child);
-                    }
-                }
-            }
-        };
-        
-        traverse(folder);
-        return mediaFiles;
+    cycleRepeat() {
+        this.repeat = { off: 'all', all: 'one', one: 'off' }[this.repeat];
+        this.notify();
     }
 
-    getMediaFiles(folder) {
-        const mediaFiles = [];
+    stop() {
+        if (this.audio) {
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+        }
+        this.queue = [];
+        this.order = [];
+        this.position = -1;
+        this.owner = null;
+        if (typeof navigator !== 'undefined' && navigator.mediaSession) {
+            navigator.mediaSession.metadata = null;
+            this.setPlaybackState('none');
+        }
+        this.notify();
+    }
 
-        if (!(folder instanceof TFolder)) {
-            return mediaFiles;
+    setPlaybackState(state) {
+        if (typeof navigator !== 'undefined' && navigator.mediaSession) {
+            navigator.mediaSession.playbackState = state;
         }
+    }
+
+    registerMediaSession() {
+        if (typeof navigator === 'undefined' || !navigator.mediaSession) return;
         
-        for (const child of folder.children) {
-            if (child instanceof TFile && this.isMediaFile(child.name)) {
-                mediaFiles.push(child);
+        const handlers = {
+            play: () => {
+                if (!this.playing) this.togglePlay();
+            },
+            pause: () => {
+                if (this.playing) this.togglePlay();
+            },
+            stop: () => this.stop(),
+            previoustrack: () => this.advance(-1),
+            nexttrack: () => this.advance(1),
+            seekbackward: (details) => this.seek(this.audio.currentTime - (details.seekOffset || 10)),
+            seekforward: (details) => this.seek(this.audio.currentTime + (details.seekOffset || 10)),
+            seekto: (details) => this.seek(details.seekTime)
+        };
+        for (const [action, handler] of Object.entries(handlers)) {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Older runtimes reject actions they do not know
             }
         }
+        this.mediaSessionActions = Object.keys(handlers);
+    }
+
+    updateMediaMetadata(file) {
+        if (typeof navigator === 'undefined' || !navigator.mediaSession || typeof MediaMetadata === 'undefined') return;
         
-        return mediaFiles;
+        navigator.mediaSession.metadata = new MediaMetadata({ title: file.basename, album: file.parent ? file.parent.name : '' });
+        this.plugin.getAudioArtwork(file, { priority: THUMBNAIL_PRIORITY.visible, waveform: false }).then(artwork => {
+            if (this.file !== file) return;
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: artwork.title || file.basename,
+                artist: artwork.artist || '',
+                album: artwork.album || (file.parent ? file.parent.name : ''),
+                artwork: artwork.cover ? [{ src: artwork.cover }] : []
+            });
+        }).catch(error => console.warn(`Could not read audio tags of ${file.path}:`, error));
     }
 
-    isMediaFile(filename) {
-        return this.isImage(filename) || this.isVideo(filename) || this.isAudio(filename);
+    destroy() {
+        this.stop();
+        this.listeners.clear();
+        if (this.mediaSessionActions) {
+            for (const action of this.mediaSessionActions) {
+                try {
+                    navigator.mediaSession.setActionHandler(action, null);
+                } catch (error) {
+                    // Same as when registering
+                }
+            }
+        }
     }
+}
 
-    isImage(filename) {
-        const ext = filename.split('.').pop().toLowerCase();
-        return ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'tiff', 'tif', 'avif', 'heic', 'heif', 'ico'].includes(ext);
+// Ties a gallery to its code block, Obsidian unloads it when the note closes or the block re-renders
+class GalleryRenderChild extends MarkdownRenderChild {
+    constructor(plugin, el) {
+        super(el);
+        this.plugin = plugin;
     }
 
-    isVideo(filename) {
-        const ext = filename.split('.').pop().toLowerCase();
-        return ['mp4', 'webm', 'ogv', 'mov', 'avi', 'mkv', 'flv', 'wmv', '3gp', 'm4v', 'mpg', 'mpeg', 'm2v', 'asf'].includes(ext);
+    onunload() {
+        const el = this.containerEl;
+        if (el.galleryController) el.galleryController.abort();
+        this.plugin.galleries.delete(el);
     }
+}
 
-    isAudio(filename) {
-        const ext = filename.split('.').pop().toLowerCase();
-        return ['mp3', 'wav', 'flac', 'ogg', 'aac', 'm4a', 'wma', 'opus', 'aiff', 'au'].includes(ext);
+class RenameFileModal extends Modal {
+    constructor(app, file, onRename) {
+        super(app);
+        this.file = file;
+        this.onRename = onRename;
+        // Obsidian's modal layer sits below the lightbox
+        this.containerEl.addClass('memories-lightbox-modal');
     }
 
-    getFileTypeIcon(filename) {
-        if (this.isImage(filename)) return '🖼️';
-        if (this.isVideo(filename)) return '🎬';
-        if (this.isAudio(filename)) return '🎵';
-        return '📄';
+    onOpen() {
+        this.titleEl.setText('Rename file');
+        
+        const row = this.contentEl.createEl('div', { cls: 'memories-rename-row' });
+        this.input = row.createEl('input', { type: 'text', cls: 'memories-rename-input' });
+        this.input.value = this.file.basename;
+        row.createEl('span', { cls: 'memories-rename-extension', text: `.${this.file.extension}` });
+        this.error = this.contentEl.createEl('div', { cls: 'memories-rename-error' });
+        
+        const buttons = this.contentEl.createEl('div', { cls: 'modal-button-container' });
+        buttons.createEl('button', { cls: 'mod-cta', text: 'Rename' }).addEventListener('click', () => this.submit());
+        buttons.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+        this.scope.register([], 'Enter', () => {
+            this.submit();
+            return false;
+        });
+        
+        this.input.focus();
+        this.input.select();
     }
 
-    sortFiles(files, sortOrder) {
-        switch (sortOrder) {
-            case 'date-asc':
-                return files.sort((a, b) => a.stat.mtime - b.stat.mtime);
-            case 'date-desc':
-                return files.sort((a, b) => b.stat.mtime - a.stat.mtime);
-            case 'random':
-                return this.shuffleArray([...files]);
-            case 'name-asc':
-            default:
-                return files.sort((a, b) => a.name.localeCompare(b.name));
+    submit() {
+        const name = this.input.value.trim();
+        const fileName = `${name}.${this.file.extension}`;
+        const folder = this.file.parent ? this.file.parent.path : '';
+        const path = normalizePath(`${folder}/${fileName}`);
+        
+        if (!name) {
+            this.error.setText('Enter a name');
+        } else if (/[\\/:*?"<>|#^[\]]/.test(name)) {
+            // Besides what file systems refuse, these break links and embeds
+            this.error.setText('A file name cannot contain \\ / : * ? " < > | # ^ [ ]');
+        } else if (path !== this.file.path && this.app.vault.getAbstractFileByPath(path)) {
+            this.error.setText(`"${fileName}" already exists in this folder`);
+        } else {
+            this.close();
+            if (path !== this.file.path) this.onRename(path);
         }
     }
 
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+    onClose() {
+        this.contentEl.empty();
     }
+}
 
-    createUploadButton(container, config, files, galleryContainer) {
-        const uploadBtn = container.createEl('button', {
-            text: '📤 Upload media',
-            cls: 'memories-gallery-upload-btn'
-        });
-        
-        this.registerDomEvent(uploadBtn, 'click', () => {
-            this.showUploadForm(config, files, galleryContainer);
-        });
+class FolderSuggestModal extends FuzzySuggestModal {
+    constructor(app, files, onChoose) {
+        super(app);
+        this.files = files;
+        this.onChoose = onChoose;
+        this.setPlaceholder(files.length === 1 ? `Move "${files[0].name}" to...` : `Move ${files.length} files to...`);
+        this.containerEl.addClass('memories-lightbox-modal');
     }
 
-    showUploadForm(config, files, galleryContainer) {
-        const overlay = document.createElement('div');
-        overlay.className = 'memories-upload-form-overlay';
-        
-        const form = document.createElement('div');
-        form.className = 'memories-upload-form';
-        
-        const title = form.createEl('h3');
-        title.textContent = 'Upload media files';
-        
-        const pathSection = form.createEl('div');
-        pathSection.className = 'memories-upload-path-section';
-        pathSection.createEl('label', { text: 'Destination folder:' });
+    getItems() {
+        // Only hide the current folder when it is the one folder every file lives in
+        const parents = new Set(this.files.map(file => file.parent));
+        const current = parents.size === 1 ? this.files[0].parent : null;
+        return this.app.vault.getAllLoadedFiles().filter(file => file instanceof TFolder && file !== current);
+    }
+
+    getItemText(folder) {
+        return folder.isRoot() ? '/' : folder.path;
+    }
+
+    onChooseItem(folder) {
+        this.onChoose(folder);
+    }
+}
+
+const UNDO_NOTICE_DURATION = 8000;
+// Permanently deleted files can only come back from a copy of their bytes
+const UNDO_BUFFER_LIMIT = 256 * 1024 * 1024;
+
+// Enter confirms, closing in any other way cancels; `rememberText` adds a checkbox reported to onDecide
+class ConfirmModal extends Modal {
+    constructor(app, { title, message, confirmText, rememberText = null }, onDecide) {
+        super(app);
+        this.title = title;
+        this.message = message;
+        this.confirmText = confirmText;
+        this.rememberText = rememberText;
+        this.onDecide = onDecide;
+        this.decided = false;
+        this.remember = null;
+        this.containerEl.addClass('memories-lightbox-modal');
+    }
+
+    onOpen() {
+        this.titleEl.setText(this.title);
+        this.contentEl.createEl('p', { text: this.message });
         
-        const pathSelect = pathSection.createEl('select');
-        pathSelect.className = 'memories-upload-path-select';
+        if (this.rememberText) {
+            const label = this.contentEl.createEl('label', { cls: 'memories-confirm-remember' });
+            this.remember = label.createEl('input', { type: 'checkbox' });
+            label.appendText(` ${this.rememberText}`);
+        }
         
-        config.paths.forEach(path => {
-            const option = pathSelect.createEl('option');
-            option.value = path;
-            option.textContent = path;
+        const buttons = this.contentEl.createEl('div', { cls: 'modal-button-container' });
+        const confirmBtn = buttons.createEl('button', { cls: 'mod-warning', text: this.confirmText });
+        confirmBtn.addEventListener('click', () => this.decide(true));
+        buttons.createEl('button', { text: 'Cancel' }).addEventListener('click', () => this.close());
+        this.scope.register([], 'Enter', () => {
+            this.decide(true);
+            return false;
         });
         
-        const dropArea = form.createEl('div');
-        dropArea.className = 'memories-upload-drop-area';
-        
-        const dropContent = dropArea.createEl('div', { cls: 'memories-drop-area-content' });
-        dropContent.createEl('div', { cls: 'memories-drop-icon', text: '📁' });
-        dropContent.createEl('p', { text: 'Drag and drop files here or click to browse' });
-        dropContent.createEl('p', { cls: 'memories-drop-hint', text: 'Supports: images, videos, audio' });
-        dropContent.createEl('p', { cls: 'memories-drop-hint', text: 'Or press Ctrl+V to paste from clipboard' });
-        
-        const buttonSection = form.createEl('div');
-        buttonSection.className = 'memories-upload-button-section';
+        confirmBtn.focus();
+    }
+
+    decide(confirmed) {
+        if (this.decided) return;
+        this.decided = true;
+        this.onDecide(confirmed, confirmed && Boolean(this.remember && this.remember.checked));
+        this.close();
+    }
+
+    onClose() {
+        this.decide(false);
+        this.contentEl.empty();
+    }
+}
+
+class MediaGalleryPlugin extends Plugin {
+    constructor(app, manifest) {
+        super(app, manifest);
+        this.thumbnailCache = new ThumbnailCache(this);
+        this.exifCache = new LRUCache(20000);
+        this.audioTagCache = new LRUCache(2000);
+        this.intersectionObserver = null;
+        this.pendingRequests = new Map();
+        this.galleries = new Map();
+        this.staleGalleries = new Set();
+        this.changedPaths = new Set();
+        this.updateTimer = null;
+        this.workerPool = [];
+        this.maxWorkers = 4;
+        this.thumbnailScheduler = new ThumbnailScheduler(this.maxWorkers);
+        this.player = new AudioPlayer(this);
+        this.skipDeleteConfirm = false;
+    }
+
+    async onload() {
+        this.initWorkerPool();
         
-        const cancelBtn = buttonSection.createEl('button', {
-            text: 'Cancel',
-            cls: 'memories-upload-cancel-btn'
+        this.addCommand({
+            id: 'clear-thumbnail-cache',
+            name: 'Clear thumbnail cache',
+            callback: async () => {
+                try {
+                    const freed = await this.thumbnailCache.clear();
+                    new Notice(`Thumbnail cache cleared, freed ${this.formatFileSize(freed)}`);
+                } catch (error) {
+                    console.error('Error clearing thumbnail cache:', error);
+                    new Notice('Error clearing thumbnail cache: ' + error.message);
+                }
+            }
         });
-        
-        const uploadBtn = buttonSection.createEl('button', {
-            text: 'Upload files',
-            cls: 'memories-upload-confirm-btn'
+
+        // Playlists keep playing after their note is closed, the status bar keeps the track in reach
+        this.playerStatus = this.addStatusBarItem();
+        this.playerStatus.addClass('memories-player-status');
+        this.playerStatus.style.display = 'none';
+        this.player.subscribe(() => this.updatePlayerStatus());
+        this.registerDomEvent(this.playerStatus, 'click', () => this.player.togglePlay());
+
+        this.processor = this.registerMarkdownCodeBlockProcessor('memories', async (source, el, ctx) => {
+            try {
+                const config = this.parseConfig(source, ctx.sourcePath);
+                await this.createGallery(el, config, ctx);
+            } catch (error) {
+                console.error('Media Gallery Error:', error);
+                el.createEl('div', {
+                    text: 'Error loading gallery',
+                    cls: 'memories-gallery-error'
+                });
+            }
         });
-        uploadBtn.disabled = true;
         
-        form.appendChild(pathSection);
-        form.appendChild(dropArea);
-        form.appendChild(buttonSection);
-        overlay.appendChild(form);
-        document.body.appendChild(overlay);
+        this.initIntersectionObserver();
         
-        this.setupUploadHandlers(form, dropArea, pathSelect, uploadBtn, cancelBtn, overlay, config, galleryContainer);
+        // The vault reports every existing file as created while it loads
+        this.app.workspace.onLayoutReady(() => this.registerVaultEvents());
     }
 
-    setupUploadHandlers(form, dropArea, pathSelect, uploadBtn, cancelBtn, overlay, config, galleryContainer) {
-        let selectedFiles = [];
+    registerVaultEvents() {
+        this.thumbnailCache.prune().catch(error => console.warn('Could not prune thumbnail cache:', error));
         
-        this.registerDomEvent(dropArea, 'click', () => {
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.multiple = true;
-            fileInput.accept = 'image/*,video/*,audio/*';
-            fileInput.addEventListener('change', (e) => {
-                const newFiles = Array.from(e.target.files);
-                selectedFiles = [...selectedFiles, ...newFiles];
-                this.updateDropArea(dropArea, selectedFiles);
-                this.updateFileList(form, selectedFiles);
-                uploadBtn.disabled = selectedFiles.length === 0;
-            });
-            fileInput.click();
-        });
+        this.registerEvent(this.app.vault.on('create', file => this.onVaultChange(file, 'create')));
+        this.registerEvent(this.app.vault.on('delete', file => this.onVaultChange(file, 'delete')));
+        this.registerEvent(this.app.vault.on('modify', file => this.onVaultChange(file, 'modify')));
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.onVaultChange(file, 'rename', oldPath)));
         
-        this.registerDomEvent(dropArea, 'dragover', (e) => {
-            e.preventDefault();
-            dropArea.classList.add('dragover');
-        });
+        // Embeds, backlinks and tags are only known once the note has been re-indexed
+        this.registerEvent(this.app.metadataCache.on('changed', () => {
+            this.scheduleGalleryUpdate(gallery => gallery.config.sources.length > 0);
+        }));
+    }
+
+    onVaultChange(file, type, oldPath) {
+        if (file instanceof TFile && !this.isMediaFile(file.name)) {
+            if (file.extension === 'md' && type !== 'modify') {
+                this.scheduleGalleryUpdate(gallery => gallery.config.sources.length > 0);
+            }
+            return;
+        }
         
-        this.registerDomEvent(dropArea, 'dragleave', () => {
-            dropArea.classList.remove('dragover');
-        });
+        if (type === 'rename' && file instanceof TFile) {
+            const entry = this.exifCache.get(oldPath);
+            if (entry) this.exifCache.set(file.path, entry);
+            const tags = this.audioTagCache.get(oldPath);
+            if (tags) this.audioTagCache.set(file.path, tags);
+            this.thumbnailCache.rename(oldPath, file.path).catch(console.error);
+        }
+        if (type === 'modify' || type === 'delete') {
+            this.thumbnailCache.delete(file.path).catch(console.error);
+        }
+        if (type === 'delete' && this.player.queue.includes(file)) {
+            this.player.setQueue(this.player.queue.filter(track => track !== file));
+        }
+        if (type === 'modify' || type === 'rename') {
+            // Renamed files keep their TFile, but rendered tiles still point at the old resource path
+            this.changedPaths.add(file.path);
+        }
         
-        this.registerDomEvent(dropArea, 'drop', (e) => {
-            e.preventDefault();
-            dropArea.classList.remove('dragover');
-            const newFiles = Array.from(e.dataTransfer.files);
-            selectedFiles = [...selectedFiles, ...newFiles];
-            this.updateDropArea(dropArea, selectedFiles);
-            this.updateFileList(form, selectedFiles);
-            uploadBtn.disabled = selectedFiles.length === 0;
-        });
+        this.scheduleGalleryUpdate(() => true);
+    }
+
+    scheduleGalleryUpdate(filter) {
+        for (const gallery of this.galleries.values()) {
+            if (filter(gallery)) this.staleGalleries.add(gallery);
+        }
+        if (this.staleGalleries.size === 0 || this.updateTimer !== null) return;
         
-        const pasteHandler = (e) => {
-            // Only handle paste if form overlay still exists in DOM
-            if (!document.body.contains(overlay)) return;
+        this.updateTimer = window.setTimeout(async () => {
+            this.updateTimer = null;
+            const galleries = [...this.staleGalleries];
+            const changedPaths = this.changedPaths;
+            this.staleGalleries = new Set();
+            this.changedPaths = new Set();
             
-            if (e.clipboardData && e.clipboardData.files.length > 0) {
-                const newFiles = Array.from(e.clipboardData.files);
-                selectedFiles = [...selectedFiles, ...newFiles];
-                this.updateDropArea(dropArea, selectedFiles);
-                this.updateFileList(form, selectedFiles);
-                uploadBtn.disabled = selectedFiles.length === 0;
-                e.preventDefault();
+            // One at a time, so several galleries do not read metadata side by side
+            for (const gallery of galleries) {
+                changedPaths.forEach(path => gallery.changedPaths.add(path));
+                await this.updateGallery(gallery);
             }
+        }, GALLERY_UPDATE_DELAY);
+    }
+
+    parseConfig(source, sourcePath = '') {
+        const config = {
+            paths: [],
+            sources: [],
+            sortOrder: ['date-desc'],
+            seed: null,
+            layout: 'grid',
+            group: 'none',
+            mode: 'all',
+            window: 0,
+            date: null,
+            enableLazyLoad: true,
+            virtual: null,
+            gridSize: 200,
+            displayType: 'full',
+            autoplay: false,
+            poster: null,
+            hoverPreview: false,
+            recursive: false,
+            exclude: [],
+            types: [],
+            extensions: [],
+            from: null,
+            to: null,
+            match: null,
+            limit: 50,
+            batchSize: 10,
+            preloadCount: 3,
+            warnings: [],
+            invalid: false
         };
-        
-        // Register paste event using Plugin API - will auto-cleanup on plugin unload
-        this.registerDomEvent(document, 'paste', pasteHandler);
-        
-        this.registerDomEvent(cancelBtn, 'click', () => {
-            overlay.remove();
-        });
-        
-        this.registerDomEvent(uploadBtn, 'click', async () => {
-            if (selectedFiles.length > 0) {
-                await this.handleFileUpload(selectedFiles, pathSelect.value, config, galleryContainer);
-                overlay.remove();
+
+        let data;
+        const { text, barePaths } = normalizeConfigSource(source);
+        try {
+            data = parseYaml(text);
+        } catch (error) {
+            const reason = String(error.message || error).split('\n')[0].replace(/:$/, '');
+            config.warnings.push(`The block is not valid YAML: ${reason}`);
+            config.invalid = true;
+            return config;
+        }
+
+        // A lone scalar or list is shorthand for the paths option; folders like 2024 parse as numbers
+        if (Array.isArray(data)) {
+            data = { paths: data };
+        } else if (data !== null && data !== undefined && typeof data !== 'object') {
+            data = { paths: String(data) };
+        }
+
+        if (barePaths.length > 0) {
+            data = data || {};
+            const listed = data.paths === null || data.paths === undefined ? [] :
+                Array.isArray(data.paths) ? data.paths : String(data.paths).split(',');
+            data.paths = [...listed, ...barePaths];
+        }
+
+        if (data !== null && data !== undefined) {
+            validateOptions(data, CONFIG_SCHEMA, config, config.warnings);
+        }
+
+        const cleanPath = (p) => {
+            let np = normalizePath(String(p || '').trim());
+            if (np === '.' || np === '/') np = './';
+            return np;
+        };
+        const noteFolder = getParentPath(sourcePath);
+
+        config.extensions = config.extensions.map(ext => ext.toLowerCase().replace(/^\*?\./, ''));
+        for (const ext of config.extensions) {
+            if (!this.isMediaFile(`file.${ext}`)) {
+                config.warnings.push(`Extension "${ext}" is not a supported media format`);
             }
-        });
-        
-        this.registerDomEvent(overlay, 'click', (e) => {
-            if (e.target === overlay) {
-                overlay.remove();
+        }
+
+        if (config.from && config.to && config.from.kind === 'absolute' && config.to.kind === 'absolute' &&
+            resolveDateBound(config.from, false) > resolveDateBound(config.to, true)) {
+            config.warnings.push('Option "from" is later than "to", so no files can match');
+        }
+
+        // An invalid source should not quietly turn into the whole vault
+        const hasSources = data && ('paths' in data || 'source' in data);
+        if (config.paths.length === 0 && config.sources.length === 0 && !hasSources) {
+            config.paths = [{ path: './' }];
+        }
+
+        config.paths = config.paths.map(entry => {
+            let path = entry.path;
+            let recursive = entry.recursive !== undefined ? entry.recursive : config.recursive;
+            // The vault root has always included every nested folder
+            let rootIsRecursive = true;
+
+            if (path === '**' || path.endsWith('/**')) {
+                path = path.slice(0, -2) || './';
+                recursive = true;
             }
-        });
 
-        this.updateFileList(form, selectedFiles);
-    }
+            if (/^@attachments(\/|$)/.test(path)) {
+                const subfolder = path.slice('@attachments'.length).replace(/^\//, '');
+                path = [this.getAttachmentFolder(noteFolder), subfolder].filter(Boolean).join('/') || './';
+                rootIsRecursive = false;
+            } else if (/^\.\.?\/./.test(path) || path === '..') {
+                path = resolveRelativePath(noteFolder, path);
+                if (path === null) {
+                    config.warnings.push(`Path "${entry.path}" points outside the vault`);
+                    return null;
+                }
+                path = path || './';
+                rootIsRecursive = false;
+            }
 
-    updateDropArea(dropArea, files) {
-        dropArea.empty();
+            path = cleanPath(path);
+            return {
+                path,
+                recursive: recursive || (path === './' && rootIsRecursive),
+                exclude: [...config.exclude, ...(entry.exclude || [])]
+            };
+        }).filter(Boolean);
         
-        const content = dropArea.createEl('div');
-        content.className = 'memories-drop-area-content';
+        if (config.sortOrder.length === 0) {
+            config.sortOrder = ['date-desc'];
+        }
+
+        // Memories are about when a photo was taken, not when the file was last touched
+        if (config.mode === 'on-this-day' && !(data && 'sort' in data)) {
+            config.sortOrder = ['taken-desc'];
+        }
         
-        if (files.length > 0) {
-            content.createEl('div', { cls: 'memories-drop-icon', text: '✅' });
-            content.createEl('p', { text: `${files.length} file(s) selected` });
-            content.createEl('p', { 
-                cls: 'memories-drop-hint',
-                text: 'Click to select more files or drag and drop additional files'
-            });
-        } else {
-            content.createEl('div', { cls: 'memories-drop-icon', text: '📁' });
-            content.createEl('p', { text: 'Drag and drop files here or click to browse' });
-            content.createEl('p', { 
-                cls: 'memories-drop-hint',
-                text: 'Supports: Images, Videos, Audio'
-            });
-            content.createEl('p', { 
-                cls: 'memories-drop-hint',
-                text: 'Or press Ctrl+V to paste from clipboard'
-            });
+        if (config.displayType === 'compact' && !(data && 'limit' in data)) {
+            config.limit = 9;
         }
         
-        if (files.length > 0) {
-            dropArea.classList.add('has-files');
-            
-            const fileListContainer = dropArea.parentElement.querySelector('.memories-upload-file-list-container');
-            if (!fileListContainer) {
-                const newFileListContainer = document.createElement('div');
-                newFileListContainer.className = 'memories-upload-file-list-container';
-                dropArea.parentElement.insertBefore(newFileListContainer, dropArea.nextSibling);
-            }
-            
-            this.updateFileList(dropArea.parentElement, files);
-        } else {
-            dropArea.classList.remove('has-files');
-            const fileListContainer = dropArea.parentElement.querySelector('.memories-upload-file-list-container');
-            if (fileListContainer) {
-                fileListContainer.remove();
+        if (config.virtual && (config.displayType !== 'full' || config.layout !== 'grid' || config.group !== 'none')) {
+            config.warnings.push('Option "virtual" only applies to full galleries with the grid layout and no grouping');
+        }
+        
+        if (config.displayType === 'playlist') {
+            if (config.types.some(type => type !== 'audio')) {
+                config.warnings.push('Playlists only play audio, other types are left out');
             }
+            config.types = ['audio'];
+        }
+        
+        // In a carousel "size" is the slide height, and a grid tile is too small for that
+        if (config.displayType === 'carousel' && !(data && 'size' in data)) {
+            config.gridSize = 480;
+        }
+        
+        return config;
+    }
+
+    getAttachmentFolder(noteFolder) {
+        const setting = String(this.app.vault.getConfig('attachmentFolderPath') || '/').trim();
+        if (setting === '/') return '';
+        if (setting === '.' || setting.startsWith('./')) {
+            return resolveRelativePath(noteFolder, setting) || '';
         }
+        return normalizePath(setting);
     }
 
-    updateFileList(container, files) {
-        let fileListContainer = container.querySelector('.memories-upload-file-list-container');
-        if (!fileListContainer) {
-            fileListContainer = document.createElement('div');
-            fileListContainer.className = 'memories-upload-file-list-container';
-            const dropArea = container.querySelector('.memories-upload-drop-area');
-            container.insertBefore(fileListContainer, dropArea.nextSibling);
+    initWorkerPool() {
+        for (let i = 0; i < this.maxWorkers; i++) {
+            const worker = this.createThumbnailWorker();
+            if (worker) {
+                const workerInfo = { worker, busy: false };
+                // A worker that cannot start is dropped, its jobs fall back to the main thread
+                worker.addEventListener('error', () => {
+                    worker.terminate();
+                    this.workerPool = this.workerPool.filter(w => w !== workerInfo);
+                });
+                this.workerPool.push(workerInfo);
+            }
         }
+    }
+
+    createThumbnailWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return null;
         
-        fileListContainer.empty();
+        // Workers have no DOM, so they only handle images: createImageBitmap and OffscreenCanvas
+        // work there, while video frames need a <video> element on the main thread
+        const workerCode = `
+            ${getThumbnailScale.toString()}
+            
+            self.addEventListener('message', async (e) => {
+                const { id, buffer, size } = e.data;
+                try {
+                    const bitmap = await createImageBitmap(new Blob([buffer]));
+                    const scale = getThumbnailScale(bitmap.width, bitmap.height, size);
+                    if (scale === 1) {
+                        bitmap.close();
+                        self.postMessage({ id, blob: null });
+                        return;
+                    }
+                    
+                    const canvas = new OffscreenCanvas(
+                        Math.max(1, Math.round(bitmap.width * scale)),
+                        Math.max(1, Math.round(bitmap.height * scale))
+                    );
+                    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                    bitmap.close();
+                    
+                    let blob = await canvas.convertToBlob({ type: 'image/webp', quality: 0.8 });
+                    if (blob.type !== 'image/webp') {
+                        blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+                    }
+                    self.postMessage({ id, blob });
+                } catch (error) {
+                    self.postMessage({ id, error: error.message });
+                }
+            });
+        `;
         
-        const title = fileListContainer.createEl('div');
-        title.className = 'memories-upload-file-list-title';
-        title.textContent = 'Selected files:';
+        try {
+            const blob = new Blob([workerCode], { type: 'application/javascript' });
+            return new Worker(URL.createObjectURL(blob));
+        } catch (error) {
+            console.warn('Web Workers not supported, falling back to main thread');
+            return null;
+        }
+    }
+
+    renderImageThumbnailInWorker(buffer, size, signal) {
+        const workerInfo = this.workerPool.find(w => !w.busy);
+        if (!workerInfo) {
+            return renderImageThumbnail(buffer, size);
+        }
         
-        const fileList = fileListContainer.createEl('div');
-        fileList.className = 'memories-upload-file-list';
-        
-        files.forEach((file, index) => {
-            const fileItem = fileList.createEl('div');
-            fileItem.className = 'memories-upload-file-item';
+        return new Promise((resolve, reject) => {
+            const id = `${Date.now()}-${Math.random()}`;
+            workerInfo.busy = true;
             
-            const fileIcon = fileItem.createEl('span');
-            fileIcon.className = 'memories-upload-file-icon';
-            fileIcon.textContent = this.getFileTypeIcon(file.name);
+            let timeout = null;
+            const finish = () => {
+                workerInfo.worker.removeEventListener('message', messageHandler);
+                signal.removeEventListener('abort', abortHandler);
+                clearTimeout(timeout);
+                workerInfo.busy = false;
+            };
+            const messageHandler = (e) => {
+                if (e.data.id !== id) return;
+                finish();
+                if (e.data.error) {
+                    reject(new Error(e.data.error));
+                } else {
+                    resolve(e.data.blob);
+                }
+            };
+            // A late reply carries a stale id and is ignored
+            const abortHandler = () => {
+                finish();
+                reject(new DOMException('Thumbnail job cancelled', 'AbortError'));
+            };
             
-            const fileName = fileItem.createEl('span');
-            fileName.textContent = file.name;
-            fileName.className = 'memories-upload-file-name';
+            timeout = setTimeout(() => {
+                finish();
+                reject(new Error('Thumbnail worker timed out'));
+            }, THUMBNAIL_JOB_TIMEOUT);
             
-            const fileSize = fileItem.createEl('span');
-            fileSize.className = 'memories-upload-file-size';
-            fileSize.textContent = this.formatFileSize(file.size);
+            workerInfo.worker.addEventListener('message', messageHandler);
+            signal.addEventListener('abort', abortHandler, { once: true });
+            workerInfo.worker.postMessage({ id, buffer, size }, [buffer]);
+        });
+    }
+
+    async getVideoThumbnail(file, resourcePath, { poster = null, priority, signal } = {}) {
+        // Each poster setting is its own cache entry, so galleries with different settings can share a video
+        const size = poster ? `${THUMBNAIL_SIZE}@${poster.label}` : THUMBNAIL_SIZE;
+        const cached = await this.thumbnailCache.get(file, size);
+        if (cached) return cached;
+        
+        return this.thumbnailScheduler.schedule(`video/${size}/${file.path}`, async (jobSignal) => {
+            const blob = await captureVideoThumbnail(resourcePath, THUMBNAIL_SIZE, poster, jobSignal);
+            return blob ? this.thumbnailCache.set(file, blob, size) : null;
+        }, { priority, signal });
+    }
+
+    async getAudioArtwork(file, { priority, signal, waveform = true } = {}) {
+        const cached = this.audioTagCache.get(file.path);
+        const tags = cached && cached.mtime === file.stat.mtime && cached.size === file.stat.size ? cached.tags : null;
+        if (tags && !tags.hasCover && !waveform) {
+            return { ...tags, cover: null, waveform: null };
+        }
+        if (tags) {
+            const image = await this.thumbnailCache.get(file, tags.hasCover ? 'cover' : 'waveform');
+            if (image) return { ...tags, cover: tags.hasCover ? image : null, waveform: tags.hasCover ? null : image };
+        }
+        
+        return this.thumbnailScheduler.schedule(`audio/${file.path}${waveform ? '' : '#tags'}`, async (jobSignal) => {
+            const metadata = await this.readAudioTags(file);
+            const result = {
+                title: metadata.title,
+                artist: metadata.artist,
+                album: metadata.album,
+                hasCover: Boolean(metadata.cover),
+                cover: null,
+                waveform: null
+            };
+            this.audioTagCache.set(file.path, {
+                mtime: file.stat.mtime,
+                size: file.stat.size,
+                tags: { title: result.title, artist: result.artist, album: result.album, hasCover: result.hasCover }
+            });
             
-            const removeBtn = fileItem.createEl('button');
-            removeBtn.textContent = '✕';
-            removeBtn.className = 'memories-upload-remove-file';
-            this.registerDomEvent(removeBtn, 'click', (e) => {
-                e.stopPropagation();
-                files.splice(index, 1);
-                this.updateDropArea(container.querySelector('.memories-upload-drop-area'), files);
+            if (metadata.cover) {
+                result.cover = await this.thumbnailCache.get(file, 'cover') ||
+                    await this.thumbnailCache.set(file, await this.renderCoverThumbnail(metadata.cover, jobSignal), 'cover');
+            } else if (waveform && file.stat.size <= WAVEFORM_MAX_FILE_SIZE && typeof OfflineAudioContext !== 'undefined') {
+                result.waveform = await this.thumbnailCache.get(file, 'waveform');
+                if (!result.waveform) {
+                    const blob = await renderWaveformImage(await this.app.vault.readBinary(file), jobSignal);
+                    result.waveform = blob ? await this.thumbnailCache.set(file, blob, 'waveform') : null;
+                }
+            }
+            return result;
+        }, { priority, signal });
+    }
+
+    async readAudioTags(file) {
+        // Tags sit at the start of MP3 and FLAC files; M4A files may keep them at the end
+        const head = await this.readFileHead(file, 512 * 1024);
+        const metadata = readAudioMetadata(head);
+        if (metadata.complete || head.byteLength >= file.stat.size) return metadata;
+        
+        // Only the tag itself is read again, for M4A the moov box that follows the audio data
+        const start = metadata.next || 0;
+        const end = Math.min(isFinite(metadata.length) ? metadata.length : file.stat.size, file.stat.size);
+        if (end - start > AUDIO_TAG_READ_LIMIT) return metadata;
+        
+        const rest = await this.readFileRange(file, start, end - start);
+        return start === 0 ? readAudioMetadata(rest) : readAudioMetadata(rest, 'mp4');
+    }
+
+    async renderCoverThumbnail(cover, signal) {
+        const original = new Blob([cover.data], { type: cover.mime });
+        try {
+            return await this.renderImageThumbnailInWorker(cover.data.buffer.slice(0), THUMBNAIL_SIZE, signal) || original;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            return original;
+        }
+    }
+
+    async getVideoSprite(file, resourcePath, { priority, signal } = {}) {
+        const cached = await this.thumbnailCache.get(file, 'sprite');
+        if (cached) return cached;
+        
+        return this.thumbnailScheduler.schedule(`sprite/${file.path}`, async (jobSignal) => {
+            const blob = await captureVideoSprite(resourcePath, VIDEO_SPRITE_FRAMES, VIDEO_SPRITE_FRAME_SIZE, jobSignal);
+            return blob ? this.thumbnailCache.set(file, blob, 'sprite') : null;
+        }, { priority, signal });
+    }
+
+    async createGallery(el, config, ctx) {
+        if (el.galleryController) el.galleryController.abort();
+        el.empty();
+        el.ctx = ctx;
+        
+        this.pendingRequests.clear();
+
+        const warnings = [...config.warnings];
+        const warningsPanel = el.createEl('div', { cls: 'memories-gallery-warnings' });
+
+        if (config.invalid) {
+            this.renderConfigWarnings(warningsPanel, warnings);
+            return;
+        }
+
+        const loadingIndicator = el.createEl('div', { 
+            cls: 'memories-gallery-loading',
+            text: 'Loading gallery...' 
+        });
+        
+        const controller = new AbortController();
+        el.galleryController = controller;
+        if (!el.galleryChild) {
+            el.galleryChild = new GalleryRenderChild(this, el);
+            ctx.addChild(el.galleryChild);
+        }
+        
+        const gallery = { el, config, ctx, signal: controller.signal, changedPaths: new Set(), running: null, queued: false };
+        this.galleries.set(el, gallery);
+        controller.signal.addEventListener('abort', () => {
+            if (this.galleries.get(el) === gallery) this.galleries.delete(el);
+            this.staleGalleries.delete(gallery);
+            // Drops their queued thumbnail jobs
+            el.querySelectorAll('.memories-gallery-item').forEach(item => {
+                if (item._media) item._media.controller.abort();
             });
         });
+        
+        try {
+            const { files, renderConfig } = await this.collectGalleryFiles(config, ctx.sourcePath, controller.signal, warnings, (done, total) => {
+                loadingIndicator.setText(`Reading photo metadata... ${done}/${total}`);
+            });
+            
+            this.renderConfigWarnings(warningsPanel, warnings);
+            loadingIndicator.remove();
+            
+            if (files.length === 0) {
+                el.createEl('div', {
+                    text: config.mode === 'on-this-day' ? 'No memories from this day in earlier years' : 'No media files found',
+                    cls: 'memories-gallery-empty'
+                });
+                return;
+            }
+            
+            await this.renderGallery(el, files, renderConfig, controller.signal);
+            
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                loadingIndicator.remove();
+                this.renderConfigWarnings(warningsPanel, warnings);
+                el.createEl('div', {
+                    text: `Error: ${error.message}`,
+                    cls: 'memories-gallery-error'
+                });
+            }
+        }
     }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+    async collectGalleryFiles(config, sourcePath, signal, warnings, onProgress) {
+        let files = await this.loadMediaFiles(config, sourcePath, signal, warnings);
+        let renderConfig = config;
         
-        let size = parseFloat((bytes / Math.pow(k, i)).toFixed(2));
-        let unit = sizes[i];
+        if (config.mode === 'on-this-day') {
+            const referenceDate = this.resolveReferenceDate(config, sourcePath, warnings);
+            await this.loadMetadata(files, signal, onProgress, { captureDate: true });
+            files = files.filter(file =>
+                getYearsAgo(this.getCaptureTime(file), referenceDate, config.window) !== null
+            );
+            renderConfig = {
+                ...config,
+                referenceDate,
+                group: config.group === 'none' ? 'years-ago' : config.group
+            };
+        }
         
-        if (unit === 'GB' || unit === 'TB') {
-            size = Math.round(size * 10) / 10;
+        // Aspect-preserving layouts need image dimensions before anything is drawn
+        const sortsByCaptureDate = config.sortOrder.some(order => order.startsWith('taken-'));
+        if (config.layout !== 'grid' || sortsByCaptureDate) {
+            await this.loadMetadata(files, signal, onProgress, { captureDate: sortsByCaptureDate });
         }
         
-        return `${size} ${unit}`;
+        return { files: this.sortFiles(files, config.sortOrder, config.seed), renderConfig };
     }
 
-    async handleFileUpload(files, targetPath, config, galleryContainer) {
-        const loadingIndicator = galleryContainer.createEl('div', {
-            cls: 'memories-upload-loading',
-            text: `Uploading ${files.length} file(s)...`
+    async updateGallery(gallery) {
+        if (gallery.running) {
+            gallery.queued = true;
+            return gallery.running;
+        }
+        
+        gallery.running = this.patchGallery(gallery)
+            .catch(error => console.error('Error updating gallery:', error))
+            .finally(() => {
+                gallery.running = null;
+                if (gallery.queued && !gallery.signal.aborted) {
+                    gallery.queued = false;
+                    this.updateGallery(gallery);
+                }
+            });
+        return gallery.running;
+    }
+
+    async patchGallery(gallery) {
+        const { el, config, ctx, signal } = gallery;
+        const changedPaths = gallery.changedPaths;
+        gallery.changedPaths = new Set();
+        
+        const result = await this.collectGalleryFiles(config, ctx.sourcePath, signal, []);
+        if (signal.aborted) return;
+        
+        const renderConfig = result.renderConfig;
+        let files = result.files;
+        if (renderConfig.group !== 'none') {
+            files = this.groupFiles(files, renderConfig).flatMap(group => group.files);
+        }
+        
+        const galleryContainer = el.querySelector(':scope > .memories-media-gallery-container');
+        if (!galleryContainer || files.length === 0) {
+            // Switching between the empty message and a gallery is a full render either way
+            if (galleryContainer || files.length > 0) await this.createGallery(el, config, ctx);
+            return;
+        }
+        
+        const previous = galleryContainer._files;
+        const unchanged = previous.length === files.length && previous.every((file, i) => file === files[i]) &&
+            !files.some(file => changedPaths.has(file.path));
+        if (unchanged) return;
+        
+        galleryContainer._files = files;
+        this.updateInfoBar(galleryContainer, files, renderConfig);
+        this.pruneSelection(galleryContainer, files);
+        
+        if (renderConfig.displayType === 'carousel') {
+            galleryContainer.querySelector('.memories-carousel').setFiles(files, changedPaths);
+            return;
+        }
+        
+        if (renderConfig.displayType === 'playlist') {
+            galleryContainer.querySelector('.memories-playlist').setFiles(files);
+            return;
+        }
+        
+        const grids = galleryContainer.querySelectorAll('.memories-media-gallery-grid');
+        if (grids.length === 1 && grids[0].virtualGrid) {
+            grids[0].virtualGrid.setFiles(files, changedPaths);
+            return;
+        }
+        
+        const filesToDisplay = renderConfig.displayType === 'compact' ? files.slice(0, renderConfig.limit) : files;
+        const wanted = new Set(filesToDisplay.map(file => file.path));
+        const items = new Map();
+        for (const item of galleryContainer.querySelectorAll('.memories-gallery-item')) {
+            const path = item._media && item._media.file.path;
+            if (path && wanted.has(path) && !changedPaths.has(path) && !items.has(path)) {
+                items.set(path, item);
+            } else {
+                this.discardGalleryItem(item);
+            }
+        }
+        
+        // Everything below is synchronous, so the page never lays out half-patched and scroll stays put
+        if (renderConfig.group === 'none') {
+            this.reconcileGridItems(grids[0], filesToDisplay, renderConfig, items, 0);
+            return;
+        }
+        
+        const collapsed = new Set();
+        galleryContainer.querySelectorAll('.memories-gallery-group').forEach(section => {
+            if (section.classList.contains('is-collapsed')) collapsed.add(section.dataset.group);
+            section.remove();
         });
         
-        try {
+        let indexOffset = 0;
+        for (const group of this.groupFiles(filesToDisplay, renderConfig)) {
+            const grid = this.renderGroupSection(galleryContainer, group, renderConfig, signal);
+            if (collapsed.has(group.key)) grid.parentElement.classList.add('is-collapsed');
+            this.reconcileGridItems(grid, group.files, renderConfig, items, indexOffset);
+            indexOffset += group.files.length;
+        }
+    }
+
+    reconcileGridItems(grid, files, config, items, indexOffset) {
+        if (grid.masonry) grid.masonry.items = [];
+        
+        let cursor = grid.masonry ? null : grid.firstElementChild;
+        files.forEach((file, i) => {
+            let item = items.get(file.path);
+            if (item) {
+                items.delete(file.path);
+                item._media.index = indexOffset + i;
+                if (grid.masonry) {
+                    grid.masonry.items.push({ item, aspect: this.getAspectRatio(file) });
+                    return;
+                }
+            } else {
+                item = this.createGalleryItem(grid, file, config);
+                this.populateGalleryItem(item, file, indexOffset + i, config).catch(console.error);
+                if (grid.masonry) return;
+            }
+            
+            // Only move tiles that are out of place, moving a playing video would restart it
+            if (item === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                grid.insertBefore(item, cursor);
+            }
+        });
+        
+        if (grid.masonry) {
+            grid.masonry.columnCount = 0;
+            this.layoutMasonry(grid, config);
+        }
+    }
+
+    resolveReferenceDate(config, sourcePath, warnings) {
+        if (config.date && config.date.kind !== 'note') {
+            return new Date(resolveDateBound(config.date, false));
+        }
+
+        const noteDate = this.getDailyNoteDate(sourcePath);
+        if (noteDate) return noteDate;
+
+        if (config.date) {
+            warnings.push(`Could not read a date from the name of "${sourcePath}", using today instead`);
+        }
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+
+    getDailyNoteDate(sourcePath) {
+        const basename = (sourcePath || '').split('/').pop().replace(/\.md$/i, '');
+        if (!basename) return null;
+
+        const dailyNotes = this.app.internalPlugins && this.app.internalPlugins.getPluginById ?
+            this.app.internalPlugins.getPluginById('daily-notes') :
+            null;
+        const format = dailyNotes && dailyNotes.instance && dailyNotes.instance.options && dailyNotes.instance.options.format;
+        if (format && moment) {
+            const parsed = moment(basename, format, true);
+            if (parsed.isValid()) return parsed.startOf('day').toDate();
+        }
+
+        const match = basename.match(/(\d{4})-(\d{2})-(\d{2})/);
+        if (!match) return null;
+        const date = new Date(+match[1], match[2] - 1, +match[3]);
+        return date.getMonth() === match[2] - 1 ? date : null;
+    }
+
+    renderConfigWarnings(panel, warnings) {
+        panel.empty();
+        if (warnings.length === 0) {
+            panel.remove();
+            return;
+        }
+
+        const title = panel.createEl('div', { cls: 'memories-gallery-warnings-title' });
+        title.createEl('span', { cls: 'memories-info-icon', text: '⚠️' });
+        title.createEl('span', {
+            text: warnings.length === 1 ? 'Gallery configuration problem' : `${warnings.length} gallery configuration problems`
+        });
+
+        const list = panel.createEl('ul', { cls: 'memories-gallery-warnings-list' });
+        for (const warning of warnings) {
+            list.createEl('li', { text: warning });
+        }
+    }
+
+    async loadMediaFiles(config, sourcePath, signal, warnings = []) {
+        const allMediaFiles = [];
+        const seen = new Set();
+        const addFiles = (files, exclude, basePath) => {
+            const excludeGlobs = exclude.map(compileGlob);
             for (const file of files) {
-                await this.saveFileToVault(file, targetPath);
+                if (seen.has(file.path)) continue;
+                if (excludeGlobs.some(glob => matchesGlob(glob, file, basePath))) continue;
+                if (!this.matchesFilters(file, config)) continue;
+                seen.add(file.path);
+                allMediaFiles.push(file);
+            }
+        };
+        
+        for (const source of config.paths) {
+            if (signal.aborted) break;
+            
+            const folder = source.path === './' ?
+                this.app.vault.getRoot() :
+                this.app.vault.getAbstractFileByPath(source.path);
+            if (!folder) {
+                warnings.push(`Folder "${source.path}" does not exist`);
+                continue;
+            }
+            
+            if (!(folder instanceof TFolder)) {
+                warnings.push(`"${source.path}" is a file, not a folder`);
+                continue;
+            }
+            
+            const mediaFiles = source.recursive ?
+                this.getAllMediaFiles(folder) :
+                this.getMediaFiles(folder);
+            addFiles(mediaFiles, source.exclude, folder.path);
+        }
+
+        for (const source of config.sources) {
+            if (signal.aborted) break;
+            addFiles(this.getLinkedMediaFiles(source, sourcePath, warnings), config.exclude);
+        }
+
+        if (config.from || config.to) {
+            const from = config.from ? resolveDateBound(config.from, false) : -Infinity;
+            const to = config.to ? resolveDateBound(config.to, true) : Infinity;
+            await this.loadMetadata(allMediaFiles, signal, null, { captureDate: true });
+            return allMediaFiles.filter(file => {
+                const time = this.getCaptureTime(file);
+                return time >= from && time <= to;
+            });
+        }
+        
+        return allMediaFiles;
+    }
+
+    async loadMetadata(files, signal, onProgress, { captureDate = false } = {}) {
+        const pending = files.filter(file => {
+            if (!this.isImage(file.name)) return false;
+            const entry = this.getCachedMetadata(file);
+            return !entry || (captureDate && entry.partial);
+        });
+        let done = 0;
+        let next = 0;
+
+        const worker = async () => {
+            while (next < pending.length && !signal.aborted) {
+                const file = pending[next++];
+                await this.readMetadata(file, { captureDate });
+                done++;
+                if (onProgress && done % 25 === 0) onProgress(done, pending.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: 4 }, worker));
+    }
+
+    getCachedMetadata(file) {
+        const entry = this.exifCache.get(file.path);
+        return entry && entry.mtime === file.stat.mtime && entry.size === file.stat.size ? entry : null;
+    }
+
+    async readMetadata(file, { captureDate = false } = {}) {
+        const cached = this.getCachedMetadata(file);
+        if (cached && !(captureDate && cached.partial)) return cached.metadata;
+
+        let metadata = null;
+        let partial = false;
+        try {
+            const head = await this.readFileHead(file, 256 * 1024);
+            metadata = readImageMetadata(head, file.extension);
+
+            // PNG and WebP often keep metadata after the pixel data, HEIC may point past the head.
+            // Dimensions are always in the head, so the rest is only read when the date matters.
+            const hasMore = !(metadata && metadata.hasExif) && head.byteLength < file.stat.size &&
+                ['png', 'webp', 'heic', 'heif', 'avif'].includes(file.extension.toLowerCase()) &&
+                file.stat.size <= WHOLE_FILE_READ_LIMIT;
+            if (hasMore && (captureDate || !(metadata && metadata.width))) {
+                metadata = readImageMetadata(await this.app.vault.readBinary(file), file.extension);
+            } else {
+                partial = hasMore;
+            }
+        } catch (error) {
+            console.warn(`Could not read metadata of ${file.path}:`, error);
+        }
+
+        this.exifCache.set(file.path, { mtime: file.stat.mtime, size: file.stat.size, metadata, partial });
+        return metadata;
+    }
+
+    async readFileHead(file, length) {
+        return this.readFileRange(file, 0, length);
+    }
+
+    canReadRanges() {
+        const adapter = this.app.vault.adapter;
+        return !!(adapter && adapter.fsPromises && typeof adapter.getFullPath === 'function');
+    }
+
+    async readFileRange(file, start, length) {
+        const adapter = this.app.vault.adapter;
+        if (this.canReadRanges()) {
+            const handle = await adapter.fsPromises.open(adapter.getFullPath(file.path), 'r');
+            try {
+                const buffer = new Uint8Array(Math.max(0, Math.min(length, file.stat.size - start)));
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+                return buffer.buffer.slice(0, bytesRead);
+            } finally {
+                await handle.close();
+            }
+        }
+        
+        // Mobile has no file handles, a few bytes of a large video would cost the whole video
+        if (file.stat.size > WHOLE_FILE_READ_LIMIT) {
+            throw new Error(`Reading part of a ${this.formatFileSize(file.stat.size)} file needs the desktop app`);
+        }
+        const buffer = await this.app.vault.readBinary(file);
+        return buffer.slice(start, start + length);
+    }
+
+    async getMediaInfo(file) {
+        // Without ranged reads any probe loads the whole file, so large videos go without codec details
+        if (!this.canReadRanges()) {
+            return file.stat.size <= WHOLE_FILE_READ_LIMIT ? readMediaInfo(await this.app.vault.readBinary(file)) : null;
+        }
+        
+        const head = await this.readFileHead(file, 512 * 1024);
+        const info = readMediaInfo(head);
+        if (info.complete || !(info.next < file.stat.size)) return info;
+        
+        // Camera files usually keep their track index after the media data, so only that part is read
+        const rest = await this.readFileRange(file, info.next, 16 * 1024 * 1024);
+        const continued = readMediaInfo(rest, info);
+        return continued.complete ? continued : info;
+    }
+
+    getCaptureTime(file) {
+        const entry = this.getCachedMetadata(file);
+        if (entry && entry.metadata && entry.metadata.taken) {
+            return entry.metadata.taken.getTime();
+        }
+        return file.stat.mtime;
+    }
+
+    getLinkedMediaFiles(source, sourcePath, warnings) {
+        let notePaths = [];
+
+        if (source.kind === 'embeds') {
+            notePaths = [sourcePath];
+        } else if (source.kind === 'backlinks') {
+            const resolvedLinks = this.app.metadataCache.resolvedLinks;
+            notePaths = Object.keys(resolvedLinks).filter(path =>
+                path !== sourcePath && resolvedLinks[path][sourcePath]
+            );
+        } else if (source.kind === 'tag') {
+            const wanted = source.tag.toLowerCase();
+            notePaths = this.app.vault.getMarkdownFiles()
+                .filter(note => {
+                    const cache = this.app.metadataCache.getFileCache(note);
+                    const tags = cache ? (getAllTags(cache) || []) : [];
+                    return tags.some(tag => {
+                        const lower = tag.toLowerCase();
+                        return lower === wanted || lower.startsWith(`${wanted}/`);
+                    });
+                })
+                .map(note => note.path);
+            if (notePaths.length === 0) {
+                warnings.push(`No notes are tagged ${source.tag}`);
+            }
+        }
+
+        const mediaFiles = [];
+        for (const notePath of notePaths) {
+            const cache = this.app.metadataCache.getCache(notePath);
+            if (!cache || !cache.embeds) continue;
+
+            for (const embed of cache.embeds) {
+                const file = this.app.metadataCache.getFirstLinkpathDest(getLinkpath(embed.link), notePath);
+                if (file instanceof TFile && this.isMediaFile(file.name)) {
+                    mediaFiles.push(file);
+                }
+            }
+        }
+        return mediaFiles;
+    }
+
+    matchesFilters(file, config) {
+        if (config.types.length > 0 && !config.types.includes(this.getMediaType(file.name))) {
+            return false;
+        }
+        if (config.extensions.length > 0 && !config.extensions.includes(file.extension.toLowerCase())) {
+            return false;
+        }
+        if (config.match && !matchesGlob(config.match, file)) {
+            return false;
+        }
+        return true;
+    }
+
+    async renderGallery(el, files, config, signal) {
+        const galleryContainer = el.createEl('div', { cls: 'memories-media-gallery-container' });
+        galleryContainer.ctx = el.ctx;
+        galleryContainer._config = config;
+
+        const infoBar = galleryContainer.createEl('div', { cls: 'memories-gallery-info-bar' });
+        
+        const leftInfo = infoBar.createEl('div', { cls: 'memories-gallery-info-left' });
+        const rightActions = infoBar.createEl('div', { cls: 'memories-gallery-info-right' });
+        
+        const totalFilesItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
+        totalFilesItem.createEl('span', { 
+            cls: 'memories-info-icon',
+            text: '🖼️' 
+        });
+        const totalFilesText = totalFilesItem.createEl('span', { cls: 'memories-info-text' });
+        
+        const totalSizeItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
+        totalSizeItem.createEl('span', { 
+            cls: 'memories-info-icon',
+            text: '💾' 
+        });
+        const totalSizeText = totalSizeItem.createEl('span', { cls: 'memories-info-text' });
+        
+        let showingText = null;
+        if (config.displayType === 'compact') {
+            const showingItem = leftInfo.createEl('div', { cls: 'memories-info-item' });
+            showingItem.createEl('span', { 
+                cls: 'memories-info-icon',
+                text: '👁️' 
+            });
+            showingText = showingItem.createEl('span', { cls: 'memories-info-text' });
+        }
+        
+        galleryContainer._info = { totalFilesText, totalSizeText, showingText };
+        this.updateInfoBar(galleryContainer, files, config);
+        
+        if (config.paths.length > 0) {
+            this.createUploadButton(rightActions, config, files, galleryContainer);
+        }
+        
+        if (config.displayType === 'full' || config.displayType === 'compact') {
+            this.createSelectionBar(rightActions, galleryContainer);
+        }
+        
+        if (config.group !== 'none') {
+            // Keep each group contiguous so lightbox order matches what is on screen
+            files = this.groupFiles(files, config).flatMap(group => group.files);
+        }
+        
+        const filesToDisplay = config.displayType === 'compact' ? 
+            files.slice(0, config.limit) : 
+            files;
+        
+        galleryContainer._files = files;
+        
+        if (config.displayType === 'carousel') {
+            this.renderCarousel(galleryContainer, files, config, signal);
+            return;
+        }
+        
+        if (config.displayType === 'playlist') {
+            this.renderPlaylist(galleryContainer, files, signal);
+            return;
+        }
+        
+        if (config.group === 'none') {
+            const grid = this.createGrid(galleryContainer, config, signal);
+            if (this.shouldVirtualize(files, config)) {
+                grid.virtualGrid = new VirtualGrid(this, grid, files, config, signal);
+            } else {
+                await this.renderBatchItems(grid, filesToDisplay, config, signal, 0);
+            }
+            return;
+        }
+        
+        let indexOffset = 0;
+        for (const group of this.groupFiles(filesToDisplay, config)) {
+            if (signal.aborted) return;
+            const grid = this.renderGroupSection(galleryContainer, group, config, signal);
+            await this.renderBatchItems(grid, group.files, config, signal, 0, indexOffset);
+            indexOffset += group.files.length;
+        }
+    }
+
+    updateInfoBar(galleryContainer, files, config) {
+        const { totalFilesText, totalSizeText, showingText } = galleryContainer._info;
+        const totalBytes = files.reduce((sum, file) => sum + file.stat.size, 0);
+        
+        totalFilesText.setText(`${files.length} files`);
+        totalSizeText.setText(this.formatFileSize(totalBytes));
+        if (showingText) {
+            showingText.setText(`Showing ${Math.min(files.length, config.limit)}`);
+        }
+    }
+
+    createSelectionBar(rightActions, galleryContainer) {
+        const selection = { active: false, files: new Set(), anchor: null };
+        galleryContainer._selection = selection;
+        
+        const selectBtn = rightActions.createEl('button', { cls: 'memories-gallery-select-btn', text: '☑️ Select' });
+        const bar = rightActions.createEl('div', { cls: 'memories-selection-bar' });
+        selection.countText = bar.createEl('span', { cls: 'memories-selection-count' });
+        
+        const addAction = (text, title, action) => {
+            const button = bar.createEl('button', { cls: 'memories-selection-action', text, attr: { title } });
+            button.addEventListener('click', () => action());
+            return button;
+        };
+        addAction('All', 'Select all (Ctrl+A)', () => this.selectAllItems(galleryContainer));
+        selection.actions = [
+            addAction('🗑️', 'Move to trash', () => this.trashSelection(galleryContainer)),
+            addAction('📂', 'Move to folder', () => this.moveSelection(galleryContainer)),
+            addAction('🔗', 'Copy as embeds', () => this.copySelectionLinks(galleryContainer)),
+            addAction('📦', 'Export as zip', () => this.exportSelection(galleryContainer))
+        ];
+        addAction('✕', 'Done (Esc)', () => this.setSelectionMode(galleryContainer, false));
+        
+        selectBtn.addEventListener('click', () => this.setSelectionMode(galleryContainer, true));
+        
+        // Captured before the tiles' own handlers, which would open the lightbox
+        galleryContainer.addEventListener('click', (e) => {
+            const item = e.target.closest('.memories-gallery-item');
+            if (!item || !item._media) return;
+            if (!selection.active && !e.ctrlKey && !e.metaKey) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            if (!selection.active) this.setSelectionMode(galleryContainer, true);
+            galleryContainer.focus({ preventScroll: true });
+            this.selectGalleryItem(galleryContainer, item._media.file, e.shiftKey);
+        }, { capture: true });
+        
+        galleryContainer.addEventListener('keydown', (e) => {
+            if (!selection.active || e.target.matches('input, textarea, select')) return;
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+                this.selectAllItems(galleryContainer);
+            } else if (e.key === 'Escape') {
+                this.setSelectionMode(galleryContainer, false);
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        
+        this.updateSelection(galleryContainer);
+    }
+
+    setSelectionMode(galleryContainer, active) {
+        const selection = galleryContainer._selection;
+        selection.active = active;
+        if (!active) {
+            selection.files.clear();
+            selection.anchor = null;
+        }
+        
+        galleryContainer.classList.toggle('is-selecting', active);
+        // Focusable only while selecting, so Ctrl+A reaches the gallery instead of the note
+        if (active) {
+            galleryContainer.tabIndex = -1;
+            galleryContainer.focus({ preventScroll: true });
+        } else {
+            galleryContainer.removeAttribute('tabindex');
+        }
+        this.updateSelection(galleryContainer);
+    }
+
+    selectGalleryItem(galleryContainer, file, extend) {
+        const selection = galleryContainer._selection;
+        const files = galleryContainer._files;
+        const anchor = extend && selection.anchor ? files.indexOf(selection.anchor) : -1;
+        
+        if (anchor !== -1) {
+            const index = files.indexOf(file);
+            const from = Math.min(anchor, index);
+            const to = Math.max(anchor, index);
+            files.slice(from, to + 1).forEach(rangeFile => selection.files.add(rangeFile));
+        } else {
+            if (selection.files.has(file)) {
+                selection.files.delete(file);
+            } else {
+                selection.files.add(file);
+            }
+            selection.anchor = file;
+        }
+        this.updateSelection(galleryContainer);
+    }
+
+    selectAllItems(galleryContainer) {
+        const config = galleryContainer._config;
+        const files = config.displayType === 'compact' ?
+            galleryContainer._files.slice(0, config.limit) :
+            galleryContainer._files;
+        files.forEach(file => galleryContainer._selection.files.add(file));
+        this.updateSelection(galleryContainer);
+    }
+
+    pruneSelection(galleryContainer, files) {
+        const selection = galleryContainer._selection;
+        if (!selection) return;
+        
+        const present = new Set(files);
+        for (const file of selection.files) {
+            if (!present.has(file)) selection.files.delete(file);
+        }
+        if (selection.anchor && !present.has(selection.anchor)) selection.anchor = null;
+        this.updateSelection(galleryContainer);
+    }
+
+    updateSelection(galleryContainer) {
+        const selection = galleryContainer._selection;
+        for (const item of galleryContainer.querySelectorAll('.memories-gallery-item')) {
+            item.classList.toggle('is-selected', !!item._media && selection.files.has(item._media.file));
+        }
+        
+        const count = selection.files.size;
+        const bytes = [...selection.files].reduce((sum, file) => sum + file.stat.size, 0);
+        selection.countText.setText(`${count} selected · ${this.formatFileSize(bytes)}`);
+        selection.actions.forEach(button => { button.disabled = count === 0; });
+    }
+
+    getSelectedFiles(galleryContainer) {
+        // Gallery order rather than click order, so links and archives read like the grid
+        return galleryContainer._files.filter(file => galleryContainer._selection.files.has(file));
+    }
+
+    async trashSelection(galleryContainer) {
+        // The vault events drop the files from the gallery and the selection
+        await this.trashFiles(this.getSelectedFiles(galleryContainer));
+    }
+
+    moveSelection(galleryContainer) {
+        const files = this.getSelectedFiles(galleryContainer);
+        if (files.length === 0) return;
+        
+        new FolderSuggestModal(this.app, files, async (folder) => {
+            let moved = 0;
+            for (const file of files) {
+                if (file.parent === folder) continue;
+                // A clash gets a numbered name rather than stopping the batch halfway
+                const path = normalizePath(`${folder.path}/${this.getUniqueFileName(folder.path, file.name)}`);
+                try {
+                    await this.app.fileManager.renameFile(file, path);
+                    moved++;
+                } catch (error) {
+                    console.error('Error moving file:', error);
+                }
+            }
+            new Notice(`Moved ${moved} ${moved === 1 ? 'file' : 'files'} to ${folder.isRoot() ? 'the vault root' : folder.path}`);
+        }).open();
+    }
+
+    async copySelectionLinks(galleryContainer) {
+        const files = this.getSelectedFiles(galleryContainer);
+        if (files.length === 0) return;
+        
+        const sourcePath = galleryContainer.ctx ? galleryContainer.ctx.sourcePath : '';
+        const links = files.map(file => `![[${this.app.metadataCache.fileToLinktext(file, sourcePath, false)}]]`);
+        try {
+            await navigator.clipboard.writeText(links.join('\n'));
+            new Notice(`Copied ${links.length} ${links.length === 1 ? 'embed' : 'embeds'}`);
+        } catch (error) {
+            console.error('Error copying links:', error);
+            new Notice('Error copying links: ' + error.message);
+        }
+    }
+
+    async exportSelection(galleryContainer) {
+        const files = this.getSelectedFiles(galleryContainer);
+        if (files.length === 0) return;
+        
+        const bytes = files.reduce((sum, file) => sum + file.stat.size, 0);
+        if (files.length > ZIP_MAX_ENTRIES) {
+            new Notice(`Cannot export ${files.length} files, a zip archive holds at most ${ZIP_MAX_ENTRIES}`);
+            return;
+        }
+        if (bytes > ZIP_EXPORT_MAX_BYTES) {
+            new Notice(`Cannot export ${this.formatFileSize(bytes)}, select at most ${this.formatFileSize(ZIP_EXPORT_MAX_BYTES)} at a time`);
+            return;
+        }
+        
+        const notice = new Notice(`Packing ${files.length} ${files.length === 1 ? 'file' : 'files'}…`, 0);
+        try {
+            const names = new Set();
+            const entries = [];
+            for (const file of files) {
+                // The archive is flat, files from different folders may share a name
+                let name = file.name;
+                for (let counter = 1; names.has(name); counter++) {
+                    name = `${file.basename}_${counter}.${file.extension}`;
+                }
+                names.add(name);
+                entries.push({ name, read: () => this.app.vault.readBinary(file), time: file.stat.mtime });
+            }
+            
+            const url = URL.createObjectURL(await createZipArchive(entries));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `Media ${new Date().toISOString().slice(0, 10)}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Error exporting files:', error);
+            new Notice('Error exporting files: ' + error.message);
+        } finally {
+            notice.hide();
+        }
+    }
+
+    renderCarousel(galleryContainer, files, config, signal) {
+        const state = { index: 0, playing: false, slideshowInterval: null, slideshowActive: false };
+        
+        const carousel = galleryContainer.createEl('div', {
+            cls: 'memories-carousel',
+            attr: { tabindex: '0' }
+        });
+        carousel.style.setProperty('--memories-carousel-height', `${config.gridSize}px`);
+        
+        const stage = carousel.createEl('div', { cls: 'memories-carousel-stage' });
+        const prevBtn = carousel.createEl('button', { cls: 'memories-carousel-nav memories-carousel-prev', text: '‹' });
+        const nextBtn = carousel.createEl('button', { cls: 'memories-carousel-nav memories-carousel-next', text: '›' });
+        const footer = carousel.createEl('div', { cls: 'memories-carousel-footer' });
+        const caption = footer.createEl('div', { cls: 'memories-carousel-caption' });
+        
+        let dots = null;
+        let counter = null;
+        
+        const renderIndicators = () => {
+            if (dots) dots.remove();
+            if (counter) counter.remove();
+            
+            // Dots stop being useful past a handful of slides, a counter scales
+            const useDots = files.length <= 15;
+            dots = useDots ? footer.createEl('div', { cls: 'memories-carousel-dots' }) : null;
+            counter = useDots ? null : footer.createEl('div', { cls: 'memories-carousel-counter' });
+            
+            if (dots) {
+                files.forEach((file, i) => {
+                    const dot = dots.createEl('button', {
+                        cls: 'memories-carousel-dot',
+                        attr: { 'aria-label': file.name }
+                    });
+                    dot.addEventListener('click', () => show(i));
+                });
+            }
+            
+            prevBtn.style.display = files.length < 2 ? 'none' : '';
+            nextBtn.style.display = files.length < 2 ? 'none' : '';
+        };
+        
+        const markActive = () => {
+            caption.setText(files[state.index].name);
+            if (dots) {
+                Array.from(dots.children).forEach((dot, i) => dot.classList.toggle('active', i === state.index));
+            } else {
+                counter.setText(`${state.index + 1} / ${files.length}`);
+            }
+        };
+        
+        const show = (index) => {
+            state.index = index;
+            state.playing = false;
+            stage.empty();
+            
+            const file = files[index];
+            const resourcePath = this.app.vault.getResourcePath(file);
+            
+            if (this.isImage(file.name)) {
+                stage.createEl('img', { attr: { src: resourcePath, alt: file.name } });
+            } else if (this.isVideo(file.name)) {
+                const video = stage.createEl('video', {
+                    attr: { src: resourcePath, controls: true, preload: 'metadata', playsinline: true }
+                });
+                video.addEventListener('play', () => { state.playing = true; });
+                video.addEventListener('pause', () => { state.playing = false; });
+            } else if (this.isAudio(file.name)) {
+                const audioContainer = stage.createEl('div', { cls: 'memories-carousel-audio' });
+                audioContainer.createEl('div', { cls: 'memories-audio-icon', text: '🎵' });
+                const audio = audioContainer.createEl('audio', { attr: { src: resourcePath, controls: true } });
+                audio.addEventListener('play', () => { state.playing = true; });
+                audio.addEventListener('pause', () => { state.playing = false; });
+            }
+            
+            markActive();
+            
+            const next = files[(index + 1) % files.length];
+            if (next && this.isImage(next.name)) {
+                new Image().src = this.app.vault.getResourcePath(next);
+            }
+        };
+        
+        const step = (direction) => {
+            if (files.length < 2) return;
+            show((state.index + direction + files.length) % files.length);
+        };
+        
+        carousel.setFiles = (newFiles, changedPaths = new Set()) => {
+            const current = files[state.index];
+            const newIndex = newFiles.indexOf(current);
+            files = newFiles;
+            renderIndicators();
+            startAutoplay();
+            
+            // The slide on screen stays untouched unless it was edited or is gone
+            if (newIndex === -1 || changedPaths.has(current.path)) {
+                show(newIndex === -1 ? Math.min(state.index, files.length - 1) : newIndex);
+            } else {
+                state.index = newIndex;
+                markActive();
+            }
+        };
+        
+        prevBtn.addEventListener('click', () => step(-1));
+        nextBtn.addEventListener('click', () => step(1));
+        carousel.addEventListener('keydown', (e) => {
+            if (e.target !== carousel) return;
+            if (e.key === 'ArrowLeft') step(-1);
+            if (e.key === 'ArrowRight') step(1);
+        });
+        
+        let swipeStartX = null;
+        let swiped = false;
+        stage.addEventListener('pointerdown', (e) => {
+            swipeStartX = e.clientX;
+            swiped = false;
+        });
+        stage.addEventListener('pointerup', (e) => {
+            if (swipeStartX === null) return;
+            const distance = e.clientX - swipeStartX;
+            swipeStartX = null;
+            if (Math.abs(distance) > 40) {
+                swiped = true;
+                step(distance < 0 ? 1 : -1);
+            }
+        });
+        stage.addEventListener('click', (e) => {
+            if (swiped || e.target.tagName !== 'IMG') return;
+            openMediaLightbox(this.app, files, state.index, () => {
+                this.refreshCurrentGallery(galleryContainer);
+            }, galleryContainer, this.getLightboxServices());
+        });
+        
+        const startAutoplay = () => {
+            if (!config.autoplay || files.length < 2 || state.slideshowActive || signal.aborted) return;
+            startSlideshow(state, config.autoplay, () => {
+                // Hold the slide while it is being looked at or played
+                if (carousel.matches(':hover') || state.playing) return;
+                step(1);
+            });
+        };
+        signal.addEventListener('abort', () => stopSlideshow(state));
+        
+        renderIndicators();
+        startAutoplay();
+        show(0);
+    }
+
+    renderPlaylist(galleryContainer, files, signal) {
+        const player = this.player;
+        const playlist = galleryContainer.createEl('div', { cls: 'memories-playlist' });
+        const list = playlist.createEl('ol', { cls: 'memories-playlist-tracks' });
+        
+        const bar = playlist.createEl('div', { cls: 'memories-playlist-player' });
+        const prevBtn = bar.createEl('button', { cls: 'memories-playlist-button', text: '⏮', attr: { 'aria-label': 'Previous track' } });
+        const playBtn = bar.createEl('button', { cls: 'memories-playlist-button memories-playlist-play', text: '▶', attr: { 'aria-label': 'Play' } });
+        const nextBtn = bar.createEl('button', { cls: 'memories-playlist-button', text: '⏭', attr: { 'aria-label': 'Next track' } });
+        const nowPlaying = bar.createEl('div', { cls: 'memories-playlist-now' });
+        const nowTitle = nowPlaying.createEl('div', { cls: 'memories-playlist-now-title' });
+        const seek = nowPlaying.createEl('input', {
+            cls: 'memories-playlist-seek',
+            attr: { type: 'range', min: '0', max: '0', step: '0.1', 'aria-label': 'Position' }
+        });
+        const time = bar.createEl('div', { cls: 'memories-playlist-time' });
+        const shuffleBtn = bar.createEl('button', { cls: 'memories-playlist-button', text: '🔀', attr: { 'aria-label': 'Shuffle' } });
+        const repeatBtn = bar.createEl('button', { cls: 'memories-playlist-button', text: '🔁', attr: { 'aria-label': 'Repeat' } });
+        
+        const rows = new Map();
+        const titles = new Map();
+        let current = null;
+        let seeking = false;
+        
+        const loadArtwork = (row) => {
+            const { file, art, title, meta } = row._track;
+            // Tags only: decoding every memo of a long list for waveforms would take minutes
+            this.getAudioArtwork(file, { priority: THUMBNAIL_PRIORITY.visible, signal, waveform: false }).then(artwork => {
+                if (artwork.cover) {
+                    art.empty();
+                    art.createEl('img', { attr: { src: artwork.cover, alt: '' } });
+                }
+                if (artwork.title) {
+                    titles.set(file, artwork.title);
+                    title.setText(artwork.title);
+                    if (file === current) nowTitle.setText(artwork.title);
+                }
+                if (artwork.artist) meta.setText(`${artwork.artist} · ${meta.getText()}`);
+            }).catch(error => {
+                if (error.name !== 'AbortError') console.warn(`Could not read audio tags of ${file.path}:`, error);
+            });
+        };
+        
+        const observer = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) continue;
+                observer.unobserve(entry.target);
+                loadArtwork(entry.target);
+            }
+        }, { rootMargin: '200px' });
+        
+        const renderTracks = () => {
+            if (observer) observer.disconnect();
+            list.empty();
+            rows.clear();
+            current = null;
+            
+            files.forEach((file, i) => {
+                const row = list.createEl('li', { cls: 'memories-playlist-track', attr: { tabindex: '0' } });
+                row.createEl('span', { cls: 'memories-playlist-track-number', text: String(i + 1) });
+                const art = row.createEl('div', { cls: 'memories-playlist-track-art', text: '🎵' });
+                const info = row.createEl('div', { cls: 'memories-playlist-track-info' });
+                const title = info.createEl('div', { cls: 'memories-playlist-track-title', text: titles.get(file) || file.basename });
+                const meta = info.createEl('div', {
+                    cls: 'memories-playlist-track-meta',
+                    text: `${new Date(file.stat.mtime).toLocaleDateString()} · ${this.formatFileSize(file.stat.size)}`
+                });
+                row._track = { file, art, title, meta };
+                rows.set(file, row);
+                
+                if (observer) {
+                    observer.observe(row);
+                } else {
+                    loadArtwork(row);
+                }
+            });
+            update();
+        };
+        
+        const update = () => {
+            const owned = player.owner === playlist;
+            const file = owned ? player.file : null;
+            
+            if (file !== current) {
+                if (current && rows.has(current)) rows.get(current).classList.remove('is-current', 'is-playing');
+                current = file;
+                if (file && rows.has(file)) rows.get(file).classList.add('is-current');
+            }
+            if (file && rows.has(file)) rows.get(file).classList.toggle('is-playing', player.playing);
+            
+            playBtn.setText(owned && player.playing ? '⏸' : '▶');
+            playBtn.setAttribute('aria-label', owned && player.playing ? 'Pause' : 'Play');
+            nowTitle.setText(file ? titles.get(file) || file.basename : `${files.length} tracks`);
+            
+            const duration = file && Number.isFinite(player.audio.duration) ? player.audio.duration : 0;
+            seek.disabled = !file;
+            seek.max = String(duration);
+            if (!seeking) seek.value = String(file ? player.audio.currentTime : 0);
+            time.setText(file ? `${formatPlaybackTime(player.audio.currentTime)} / ${formatPlaybackTime(duration)}` : '');
+            
+            shuffleBtn.classList.toggle('is-active', player.shuffle);
+            repeatBtn.classList.toggle('is-active', player.repeat !== 'off');
+            repeatBtn.setText(player.repeat === 'one' ? '🔂' : '🔁');
+            repeatBtn.setAttribute('aria-label', { off: 'Repeat', all: 'Repeat all', one: 'Repeat one' }[player.repeat]);
+        };
+        
+        const playTrack = (file) => {
+            if (player.owner === playlist && player.file === file) {
+                player.togglePlay();
+            } else {
+                player.play(files, files.indexOf(file), playlist);
+            }
+        };
+        
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.memories-playlist-track');
+            if (row) playTrack(row._track.file);
+        });
+        list.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target._track) {
+                e.preventDefault();
+                playTrack(e.target._track.file);
+            }
+        });
+        playBtn.addEventListener('click', () => {
+            if (player.owner === playlist) {
+                player.togglePlay();
+            } else {
+                player.play(files, player.shuffle ? Math.floor(Math.random() * files.length) : 0, playlist);
+            }
+        });
+        prevBtn.addEventListener('click', () => {
+            if (player.owner === playlist) player.advance(-1);
+        });
+        nextBtn.addEventListener('click', () => {
+            if (player.owner === playlist) player.advance(1);
+        });
+        shuffleBtn.addEventListener('click', () => player.toggleShuffle());
+        repeatBtn.addEventListener('click', () => player.cycleRepeat());
+        seek.addEventListener('input', () => { seeking = true; });
+        seek.addEventListener('change', () => {
+            seeking = false;
+            if (player.owner === playlist) player.seek(Number(seek.value));
+        });
+        
+        playlist.setFiles = (newFiles) => {
+            files = newFiles;
+            if (player.owner === playlist) player.setQueue(files);
+            renderTracks();
+        };
+        
+        // A re-rendered playlist takes back the queue it was playing, if the old one is gone
+        if (player.file && files.includes(player.file) && !(player.owner && player.owner.isConnected)) {
+            player.owner = playlist;
+            player.setQueue(files);
+        }
+        
+        const unsubscribe = player.subscribe(update);
+        signal.addEventListener('abort', () => {
+            unsubscribe();
+            if (observer) observer.disconnect();
+        });
+        
+        renderTracks();
+    }
+
+    updatePlayerStatus() {
+        const file = this.player.file;
+        this.playerStatus.style.display = file ? '' : 'none';
+        if (!file) return;
+        
+        const playing = this.player.playing;
+        this.playerStatus.setText(`${playing ? '⏸' : '▶'} ${file.basename}`);
+        this.playerStatus.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    }
+
+    shouldVirtualize(files, config) {
+        const supported = config.displayType === 'full' && config.layout === 'grid' && config.group === 'none';
+        if (!supported) return false;
+        return config.virtual !== null ? config.virtual : files.length > VIRTUAL_GRID_THRESHOLD;
+    }
+
+    createGrid(container, config, signal) {
+        const grid = container.createEl('div', { cls: 'memories-media-gallery-grid' });
+        grid.style.setProperty('--memories-grid-size', `${config.gridSize}px`);
+        
+        if (config.layout !== 'grid') {
+            grid.classList.add(`memories-layout-${config.layout}`);
+        }
+        
+        if (config.layout === 'masonry') {
+            grid.masonry = { items: [], columns: [], heights: [], columnCount: 0 };
+            this.layoutMasonry(grid, config);
+            
+            if (typeof ResizeObserver !== 'undefined') {
+                const observer = new ResizeObserver(() => this.layoutMasonry(grid, config));
+                observer.observe(grid);
+                signal.addEventListener('abort', () => observer.disconnect());
+            }
+        }
+        
+        return grid;
+    }
+
+    createGalleryItem(grid, file, config) {
+        if (config.layout === 'grid') {
+            return grid.createEl('div', { cls: 'memories-gallery-item' });
+        }
+        
+        const aspect = this.getAspectRatio(file);
+        const item = document.createElement('div');
+        item.className = 'memories-gallery-item';
+        item.style.setProperty('--memories-aspect', aspect.toFixed(4));
+        
+        if (config.layout === 'masonry') {
+            grid.masonry.items.push({ item, aspect });
+            this.placeMasonryItem(grid, item, aspect);
+        } else {
+            grid.appendChild(item);
+        }
+        return item;
+    }
+
+    getAspectRatio(file) {
+        const entry = this.getCachedMetadata(file);
+        const metadata = entry && entry.metadata;
+        if (metadata && metadata.width && metadata.height) {
+            return metadata.width / metadata.height;
+        }
+        return this.isVideo(file.name) ? 16 / 9 : 1;
+    }
+
+    layoutMasonry(grid, config) {
+        const state = grid.masonry;
+        const style = getComputedStyle(grid);
+        const gap = parseFloat(style.columnGap) || 0;
+        const width = grid.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+        
+        // A grid that is not attached yet has no width; keep the previous columns until it does
+        const columnCount = width > 0 ?
+            Math.max(1, Math.floor((width + gap) / (config.gridSize + gap))) :
+            state.columnCount || 3;
+        if (columnCount === state.columnCount) return;
+        
+        state.columns.forEach(column => column.remove());
+        state.columnCount = columnCount;
+        state.columns = Array.from({ length: columnCount }, () =>
+            grid.createEl('div', { cls: 'memories-masonry-column' })
+        );
+        state.heights = new Array(columnCount).fill(0);
+        
+        for (const { item, aspect } of state.items) {
+            this.placeMasonryItem(grid, item, aspect);
+        }
+    }
+
+    placeMasonryItem(grid, item, aspect) {
+        const state = grid.masonry;
+        const shortest = state.heights.indexOf(Math.min(...state.heights));
+        state.heights[shortest] += 1 / aspect;
+        state.columns[shortest].appendChild(item);
+    }
+
+    groupFiles(files, config) {
+        // Dates follow the sort order, so "taken" galleries group by capture date
+        const dateOrder = config.sortOrder.find(order => /^(date|taken|created)-/.test(order)) || 'date';
+        const getTime = (file) => {
+            if (dateOrder.startsWith('taken')) return this.getCaptureTime(file);
+            if (dateOrder.startsWith('created')) return file.stat.ctime;
+            return file.stat.mtime;
+        };
+
+        const groups = new Map();
+        for (const file of files) {
+            let key;
+            let label;
+            if (config.group === 'folder') {
+                key = getParentPath(file.path);
+                label = key || 'Vault root';
+            } else if (config.group === 'years-ago') {
+                const yearsAgo = getYearsAgo(this.getCaptureTime(file), config.referenceDate, config.window);
+                key = `${yearsAgo}`;
+                label = yearsAgo === 1 ? '1 year ago' : `${yearsAgo} years ago`;
+            } else {
+                const date = new Date(getTime(file));
+                if (config.group === 'year') {
+                    key = `${date.getFullYear()}`;
+                    label = key;
+                } else if (config.group === 'month') {
+                    key = `${date.getFullYear()}-${date.getMonth()}`;
+                    label = date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+                } else {
+                    key = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+                    label = date.toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' });
+                }
+            }
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, files: [] });
+            }
+            groups.get(key).files.push(file);
+        }
+        return [...groups.values()];
+    }
+
+    renderGroupSection(container, group, config, signal) {
+        const section = container.createEl('div', { cls: 'memories-gallery-group' });
+        section.dataset.group = group.key;
+        const header = section.createEl('div', { cls: 'memories-gallery-group-header' });
+        header.createEl('span', { cls: 'memories-gallery-group-toggle', text: '▾' });
+        header.createEl('span', { cls: 'memories-gallery-group-title', text: group.label });
+        header.createEl('span', {
+            cls: 'memories-gallery-group-count',
+            text: `· ${group.files.length} ${group.files.length === 1 ? 'item' : 'items'}`
+        });
+
+        header.addEventListener('click', () => {
+            section.classList.toggle('is-collapsed');
+        });
+
+        return this.createGrid(section, config, signal);
+    }
+
+    async renderBatchItems(container, files, config, signal, startIndex = 0, indexOffset = 0) {
+        const batchSize = config.batchSize || 10;
+        const endIndex = Math.min(startIndex + batchSize, files.length);
+        
+        for (let i = startIndex; i < endIndex; i++) {
+            if (signal.aborted) return;
+            
+            const file = files[i];
+            const item = this.createGalleryItem(container, file, config);
+            await this.populateGalleryItem(item, file, indexOffset + i, config);
+        }
+        
+        if (endIndex < files.length && !signal.aborted) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await this.renderBatchItems(container, files, config, signal, endIndex, indexOffset);
+        }
+    }
+
+    async populateGalleryItem(item, file, index, config) {
+        item._media = {
+            file,
+            index,
+            thumbnailSize: getImageThumbnailSize(config.gridSize * 2),
+            poster: config.poster,
+            hoverPreview: config.hoverPreview,
+            controller: new AbortController()
+        };
+        
+        const galleryContainer = item.closest('.memories-media-gallery-container');
+        if (galleryContainer && galleryContainer._selection) {
+            item.classList.toggle('is-selected', galleryContainer._selection.files.has(file));
+        }
+        
+        if (config.enableLazyLoad) {
+            item.classList.add('lazy-load');
+            
+            const placeholder = item.createEl('div', { cls: 'memories-gallery-placeholder' });
+            placeholder.createEl('span', { text: this.getFileTypeIcon(file.name) });
+            
+            this.intersectionObserver.observe(item);
+        } else {
+            // Not awaited: the scheduler decides how many load at once
+            this.loadMediaElement(item, THUMBNAIL_PRIORITY.background).catch(console.error);
+        }
+    }
+
+    discardGalleryItem(item) {
+        this.intersectionObserver.unobserve(item);
+        if (item._media) item._media.controller.abort();
+        item.remove();
+    }
+
+    initIntersectionObserver() {
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const item = entry.target;
+                    this.loadMediaElement(item, THUMBNAIL_PRIORITY.visible).catch(console.error);
+                    this.intersectionObserver.unobserve(item);
+                }
+            });
+        }, {
+            rootMargin: '100px 0px',
+            threshold: 0.1
+        });
+    }
+
+    async loadMediaElement(element, priority = THUMBNAIL_PRIORITY.visible) {
+        const file = element._media && element._media.file;
+        if (!file) return;
+        
+        // Keyed by element: a virtual grid may recreate a tile while the old one is still loading
+        if (this.pendingRequests.has(element)) {
+            return;
+        }
+        
+        this.pendingRequests.set(element, true);
+        
+        try {
+            element.empty();
+            element.classList.remove('lazy-load');
+            
+            const resourcePath = this.app.vault.getResourcePath(file);
+            const options = { priority, signal: element._media.controller.signal, poster: element._media.poster };
+            
+            if (this.isImage(file.name)) {
+                const thumbnail = await this.getImageThumbnail(file, element._media.thumbnailSize, options);
+                await this.loadImageElement(element, file, thumbnail);
+            } else if (this.isVideo(file.name)) {
+                await this.loadVideoElement(element, file, resourcePath, options);
+            } else if (this.isAudio(file.name)) {
+                await this.loadAudioElement(element, file, options);
+            }
+        } catch (error) {
+            // Aborted tiles have left the page, nothing to show
+            if (error.name !== 'AbortError') {
+                console.error('Error loading media element:', error);
+                this.showErrorState(element, file.name);
+            }
+        } finally {
+            this.pendingRequests.delete(element);
+        }
+    }
+
+    openItemInLightbox(element) {
+        const galleryContainer = element.closest('.memories-media-gallery-container');
+        const { file, index } = element._media;
+        // The lightbox edits its list on delete, so it gets its own copy
+        const files = galleryContainer && galleryContainer._files ? [...galleryContainer._files] : [file];
+        openMediaLightbox(this.app, files, files[index] === file ? index : Math.max(0, files.indexOf(file)), () => {
+            this.refreshCurrentGallery(galleryContainer);
+        }, galleryContainer, this.getLightboxServices());
+    }
+
+    getLightboxServices() {
+        const options = (signal) => ({ priority: THUMBNAIL_PRIORITY.visible, signal });
+        return {
+            image: (file, signal) => this.getImageThumbnail(file, LIGHTBOX_STRIP_THUMBNAIL_SIZE, options(signal)),
+            audio: (file, signal) => this.getAudioArtwork(file, options(signal)),
+            metadata: (file) => this.readMetadata(file, { captureDate: true }),
+            mediaInfo: (file) => this.getMediaInfo(file),
+            saveImage: (file, blob, overwrite) => this.saveEditedImage(file, blob, overwrite),
+            trash: (files) => this.trashFiles(files)
+        };
+    }
+
+    confirmDelete(files, permanent) {
+        if (this.skipDeleteConfirm && !permanent) return Promise.resolve(true);
+        
+        const count = files.length;
+        const subject = count === 1 ? `"${files[0].name}"` : `${count} files`;
+        const options = {
+            title: count === 1 ? 'Delete file' : `Delete ${count} files`,
+            message: permanent ?
+                `${subject} will be deleted permanently. Undo is only offered for a few seconds.` :
+                `${subject} will be moved to the trash.`,
+            confirmText: 'Delete',
+            // Permanent deletes always ask, so only trash moves can be remembered
+            rememberText: permanent ? null : "Don't ask again this session"
+        };
+        
+        return new Promise(resolve => {
+            new ConfirmModal(this.app, options, (confirmed, remember) => {
+                if (remember) this.skipDeleteConfirm = true;
+                resolve(confirmed);
+            }).open();
+        });
+    }
+
+    // Resolves with the files that actually left the vault, an empty list when cancelled
+    async trashFiles(files) {
+        if (files.length === 0) return [];
+        const trashOption = this.app.vault.getConfig('trashOption') || 'system';
+        if (!(await this.confirmDelete(files, trashOption === 'none'))) return [];
+        
+        const entries = [];
+        const trashBefore = trashOption === 'local' ? new Set(await this.listLocalTrash()) : null;
+        let buffered = 0;
+        for (const file of files) {
+            const entry = { file, path: file.path, stat: { ...file.stat }, trashPath: null, data: null };
+            try {
+                if (trashOption === 'none' && buffered + file.stat.size <= UNDO_BUFFER_LIMIT) {
+                    entry.data = await this.app.vault.readBinary(file);
+                    buffered += file.stat.size;
+                }
+                await this.app.fileManager.trashFile(file);
+                entries.push(entry);
+            } catch (error) {
+                console.error('Error deleting file:', error);
+            }
+        }
+        if (trashBefore) await this.findLocalTrashPaths(entries, trashBefore);
+        
+        this.showUndoNotice(entries, files.length, trashOption);
+        return entries.map(entry => entry.file);
+    }
+
+    async listLocalTrash() {
+        const adapter = this.app.vault.adapter;
+        if (!(await adapter.exists('.trash'))) return [];
+        return (await adapter.list('.trash')).files;
+    }
+
+    async findLocalTrashPaths(entries, trashBefore) {
+        const added = (await this.listLocalTrash()).filter(path => !trashBefore.has(path));
+        
+        // .trash keeps the file name and numbers it ("photo 1.jpg") when the name is taken,
+        // so the lowest free number goes to the file that was deleted first
+        const getCopyNumber = (path, file) => {
+            const name = path.slice(path.lastIndexOf('/') + 1);
+            const suffix = file.extension ? `.${file.extension}` : '';
+            if (!name.startsWith(file.basename) || !name.endsWith(suffix)) return -1;
+            const middle = name.slice(file.basename.length, name.length - suffix.length);
+            if (middle === '') return 0;
+            return /^ \d+$/.test(middle) ? parseInt(middle) : -1;
+        };
+        
+        for (const entry of entries) {
+            let best = -1;
+            let bestNumber = Infinity;
+            added.forEach((path, index) => {
+                const number = getCopyNumber(path, entry.file);
+                if (number !== -1 && number < bestNumber) {
+                    best = index;
+                    bestNumber = number;
+                }
+            });
+            if (best !== -1) entry.trashPath = added.splice(best, 1)[0];
+        }
+    }
+
+    showUndoNotice(entries, requested, trashOption) {
+        const subject = entries.length === 1 ? `"${entries[0].file.name}"` : `${entries.length} files`;
+        if (entries.length < requested) {
+            new Notice(entries.length === 0 ?
+                'Error deleting files, see the console for details' :
+                `Deleted ${entries.length} of ${requested} files, see the console for errors`);
+        }
+        if (entries.length === 0) return;
+        
+        const restorable = entries.filter(entry => entry.trashPath || entry.data);
+        if (restorable.length === 0) {
+            // Obsidian offers no way to take files back out of the system trash
+            new Notice(trashOption === 'system' ?
+                `Moved ${subject} to the system trash, restore from there to undo` :
+                `Deleted ${subject}, too large to undo`);
+            return;
+        }
+        
+        const fragment = document.createDocumentFragment();
+        fragment.append(restorable.length < entries.length ?
+            `Deleted ${subject}, ${restorable.length} can be restored ` :
+            `Deleted ${subject} `);
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'memories-undo-btn';
+        undoBtn.textContent = 'Undo';
+        fragment.append(undoBtn);
+        
+        const notice = new Notice(fragment, UNDO_NOTICE_DURATION);
+        undoBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            notice.hide();
+            this.restoreDeletedFiles(restorable).catch(console.error);
+        });
+    }
+
+    async restoreDeletedFiles(entries) {
+        let restored = 0;
+        for (const entry of entries) {
+            try {
+                if (this.app.vault.getAbstractFileByPath(entry.path)) {
+                    throw new Error(`"${entry.path}" already exists`);
+                }
+                const folder = getParentPath(entry.path);
+                if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+                    await this.app.vault.createFolder(folder);
+                }
+                
+                if (entry.trashPath) {
+                    await this.app.vault.adapter.rename(entry.trashPath, entry.path);
+                } else {
+                    // The original dates keep the file in place in date sorted and on-this-day galleries
+                    await this.app.vault.createBinary(entry.path, entry.data, { ctime: entry.stat.ctime, mtime: entry.stat.mtime });
+                }
+                restored++;
+            } catch (error) {
+                console.error('Error restoring file:', error);
+            }
+        }
+        
+        new Notice(restored === entries.length ?
+            `Restored ${restored === 1 ? `"${entries[0].file.name}"` : `${restored} files`}` :
+            `Restored ${restored} of ${entries.length} files, see the console for errors`);
+    }
+
+    async saveEditedImage(file, blob, overwrite) {
+        let buffer = await blob.arrayBuffer();
+        if (blob.type === 'image/jpeg') {
+            // Canvas exports carry no metadata, keep the capture date and camera of the original
+            buffer = transplantExif(await this.readFileHead(file, 256 * 1024), buffer);
+        }
+        
+        if (overwrite) {
+            await this.app.vault.modifyBinary(file, buffer);
+            // The modify event refreshes the tiles too, but nothing may serve the old pixels before it arrives
+            this.exifCache.delete(file.path);
+            await this.thumbnailCache.delete(file.path);
+            return file;
+        }
+        
+        const folder = file.parent ? file.parent.path : '';
+        const name = this.getUniqueFileName(folder, `${file.basename}_edited.${file.extension}`);
+        return this.app.vault.createBinary(normalizePath(`${folder}/${name}`), buffer);
+    }
+
+    async getImageThumbnail(file, size, { priority, signal } = {}) {
+        const resourcePath = this.app.vault.getResourcePath(file);
+        if (!THUMBNAIL_IMAGE_EXTENSIONS.includes(file.extension.toLowerCase()) || typeof createImageBitmap === 'undefined') {
+            return resourcePath;
+        }
+        
+        const cached = await this.thumbnailCache.get(file, size);
+        if (cached) return cached;
+        
+        const isSmall = (metadata) => metadata && metadata.width && Math.min(metadata.width, metadata.height) <= size;
+        const known = this.getCachedMetadata(file);
+        if (known && isSmall(known.metadata)) return resourcePath;
+        
+        return this.thumbnailScheduler.schedule(`${size}/${file.path}`, async (jobSignal) => {
+            try {
+                // The header is enough to tell whether the original is already small
+                if (isSmall(await this.readMetadata(file))) return resourcePath;
+                if (jobSignal.aborted) return resourcePath;
+                
+                const buffer = await this.app.vault.readBinary(file);
+                if (jobSignal.aborted) return resourcePath;
+                
+                let blob;
+                try {
+                    // The buffer is handed over to the worker, so keep a copy in case the worker fails
+                    blob = await this.renderImageThumbnailInWorker(buffer.slice(0), size, jobSignal);
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    blob = await renderImageThumbnail(buffer, size);
+                }
+                return blob ? await this.thumbnailCache.set(file, blob, size) : resourcePath;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Could not create thumbnail of ${file.path}:`, error);
+                return resourcePath;
+            }
+        }, { priority, signal });
+    }
+
+    async loadImageElement(element, file, thumbnailPath) {
+        const img = element.createEl('img', {
+            attr: {
+                src: thumbnailPath,
+                alt: file.name,
+                loading: 'lazy'
+            }
+        });
+        
+        // Plain listeners: tiles come and go with scrolling, the plugin must not keep them alive
+        requestIdleCallback(() => {
+            img.addEventListener('click', () => this.openItemInLightbox(element));
+        });
+    }
+
+    async loadVideoElement(element, file, resourcePath, options) {
+        const container = element.createEl('div', { cls: 'memories-video-thumbnail-container' });
+        
+        try {
+            const thumbnail = await this.getVideoThumbnail(file, resourcePath, options);
+            
+            if (thumbnail) {
+                const img = container.createEl('img', {
+                    attr: {
+                        src: thumbnail,
+                        alt: file.name,
+                        loading: 'lazy'
+                    }
+                });
+                img.addEventListener('load', () => {
+                    // Video sizes aren't known up front, so layouts start from 16:9
+                    if (element.style.getPropertyValue('--memories-aspect') && img.naturalHeight) {
+                        element.style.setProperty('--memories-aspect', (img.naturalWidth / img.naturalHeight).toFixed(4));
+                    }
+                }, { once: true });
+            } else {
+                container.createEl('video', {
+                    attr: {
+                        src: resourcePath,
+                        muted: true,
+                        preload: 'metadata'
+                    }
+                });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            container.createEl('video', {
+                attr: {
+                    src: resourcePath,
+                    muted: true,
+                    preload: 'metadata'
+                }
+            });
+        }
+        
+        const playIcon = container.createEl('div', { cls: 'memories-video-play-icon' });
+        playIcon.setText('▶');
+        
+        if (element._media.hoverPreview) {
+            this.addHoverPreview(element, container, file, resourcePath);
+        }
+        
+        requestIdleCallback(() => {
+            container.addEventListener('click', () => this.openItemInLightbox(element));
+        });
+    }
+
+    addHoverPreview(element, container, file, resourcePath) {
+        const preview = container.createEl('div', { cls: 'memories-video-hover-preview' });
+        let sprite = null;
+        let requested = false;
+        
+        const showFrame = (clientX) => {
+            const rect = container.getBoundingClientRect();
+            const position = rect.width > 0 ? Math.min(0.999, Math.max(0, (clientX - rect.left) / rect.width)) : 0;
+            const frame = Math.floor(position * VIDEO_SPRITE_FRAMES);
+            
+            // Sized like object-fit: cover, one frame at a time
+            const frameHeight = Math.max(rect.height, rect.width / sprite.aspect);
+            const frameWidth = frameHeight * sprite.aspect;
+            preview.style.backgroundSize = `${frameWidth * VIDEO_SPRITE_FRAMES}px ${frameHeight}px`;
+            preview.style.backgroundPosition =
+                `${(rect.width - frameWidth) / 2 - frame * frameWidth}px ${(rect.height - frameHeight) / 2}px`;
+        };
+        
+        // The sprite is only extracted once someone actually hovers the tile. Listeners sit on the
+        // tile's own content so they go away with it when a virtual grid recycles the tile
+        container.addEventListener('mouseenter', (e) => {
+            if (sprite) {
+                preview.classList.add('is-active');
+                showFrame(e.clientX);
+                return;
+            }
+            if (requested) return;
+            requested = true;
+            
+            this.getVideoSprite(file, resourcePath, {
+                priority: THUMBNAIL_PRIORITY.visible,
+                signal: element._media.controller.signal
+            }).then(url => new Promise((resolve, reject) => {
+                if (!url) return resolve(null);
+                const image = new Image();
+                image.onload = () => resolve({ url, aspect: image.naturalWidth / VIDEO_SPRITE_FRAMES / image.naturalHeight });
+                image.onerror = () => reject(new Error('Sprite could not be loaded'));
+                image.src = url;
+            })).then(loaded => {
+                if (!loaded) return;
+                sprite = loaded;
+                preview.style.backgroundImage = `url("${loaded.url}")`;
+                if (element.matches(':hover')) preview.classList.add('is-active');
+            }).catch(error => {
+                if (error.name !== 'AbortError') console.warn(`Could not create hover preview of ${file.path}:`, error);
+            });
+        });
+        container.addEventListener('mousemove', (e) => {
+            if (sprite) showFrame(e.clientX);
+        });
+        container.addEventListener('mouseleave', () => {
+            preview.classList.remove('is-active');
+        });
+    }
+
+    async loadAudioElement(element, file, options) {
+        const container = element.createEl('div', { cls: 'memories-audio-thumbnail-container' });
+        const icon = container.createEl('div', { cls: 'memories-audio-icon' });
+        icon.setText('🎵');
+        
+        const fileName = container.createEl('div', { cls: 'memories-audio-filename' });
+        fileName.textContent = file.name;
+        
+        requestIdleCallback(() => {
+            container.addEventListener('click', () => this.openItemInLightbox(element));
+        });
+        
+        try {
+            const artwork = await this.getAudioArtwork(file, options);
+            const artworkEl = createAudioArtwork(artwork, 'memories-audio-artwork');
+            if (artworkEl) {
+                icon.replaceWith(artworkEl);
+                container.classList.add(artwork.cover ? 'has-cover' : 'has-waveform');
+            }
+            fileName.textContent = artwork.title || file.name;
+            if (artwork.artist) {
+                container.createEl('div', { cls: 'memories-audio-artist', text: artwork.artist });
+            }
+        } catch (error) {
+            // The plain tile is already in place
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Could not read audio tags of ${file.path}:`, error);
+        }
+    }
+
+    async refreshCurrentGallery(galleryContainer) {
+        if (!galleryContainer) return;
+        
+        const gallery = this.galleries.get(galleryContainer.parentElement);
+        if (gallery) {
+            await this.updateGallery(gallery);
+        }
+    }
+
+    showErrorState(element, filename) {
+        element.empty();
+        const errorDiv = element.createEl('div', { cls: 'memories-gallery-error-state' });
+        errorDiv.createEl('div', { text: '❌' });
+        errorDiv.createEl('div', { 
+            text: filename,
+            cls: 'memories-gallery-error-filename'
+        });
+    }
+
+    getAllMediaFiles(folder) {
+        const mediaFiles = [];
+
+        const traverse = (currentFolder) => {
+            if (!(currentFolder instanceof TFolder)) return;
+            
+            for (const child of currentFolder.children) {
+                if (child instanceof TFolder) {
+                    traverse(child);
+                } else if (child instanceof TFile) {
+                    if (this.isMediaFile(child.name)) {
+                        mediaFiles.push(child);
+                    }
+                }
+            }
+        };
+        
+        traverse(folder);
+        return mediaFiles;
+    }
+
+    getMediaFiles(folder) {
+        const mediaFiles = [];
+
+        if (!(folder instanceof TFolder)) {
+            return mediaFiles;
+        }
+        
+        for (const child of folder.children) {
+            if (child instanceof TFile && this.isMediaFile(child.name)) {
+                mediaFiles.push(child);
+            }
+        }
+        
+        return mediaFiles;
+    }
+
+    isMediaFile(filename) {
+        return this.isImage(filename) || this.isVideo(filename) || this.isAudio(filename);
+    }
+
+    getMediaType(filename) {
+        if (this.isImage(filename)) return 'image';
+        if (this.isVideo(filename)) return 'video';
+        if (this.isAudio(filename)) return 'audio';
+        return null;
+    }
+
+    isImage(filename) {
+        const ext = filename.split('.').pop().toLowerCase();
+        return ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg', 'webp', 'tiff', 'tif', 'avif', 'heic', 'heif', 'ico'].includes(ext);
+    }
+
+    isVideo(filename) {
+        const ext = filename.split('.').pop().toLowerCase();
+        return ['mp4', 'webm', 'ogv', 'mov', 'avi', 'mkv', 'flv', 'wmv', '3gp', 'm4v', 'mpg', 'mpeg', 'm2v', 'asf'].includes(ext);
+    }
+
+    isAudio(filename) {
+        const ext = filename.split('.').pop().toLowerCase();
+        return ['mp3', 'wav', 'flac', 'ogg', 'aac', 'm4a', 'wma', 'opus', 'aiff', 'au'].includes(ext);
+    }
+
+    getFileTypeIcon(filename) {
+        if (this.isImage(filename)) return '🖼️';
+        if (this.isVideo(filename)) return '🎬';
+        if (this.isAudio(filename)) return '🎵';
+        return '📄';
+    }
+
+    sortFiles(files, sortOrder, seed = null) {
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        // Without a seed every render gets a fresh shuffle, as before
+        const randomSeed = seed !== null ? String(seed) : String(Math.random());
+        const randomKeys = new Map();
+        const randomKey = (file) => {
+            if (!randomKeys.has(file.path)) {
+                randomKeys.set(file.path, hashString(`${randomSeed}:${file.path}`));
+            }
+            return randomKeys.get(file.path);
+        };
+
+        const comparators = sortOrder.map(order => {
+            const [field, direction] = order.split('-');
+            const sign = direction === 'desc' ? -1 : 1;
+            switch (field) {
+                case 'date':
+                    return (a, b) => sign * (a.stat.mtime - b.stat.mtime);
+                case 'taken':
+                    return (a, b) => sign * (this.getCaptureTime(a) - this.getCaptureTime(b));
+                case 'created':
+                    return (a, b) => sign * (a.stat.ctime - b.stat.ctime);
+                case 'size':
+                    return (a, b) => sign * (a.stat.size - b.stat.size);
+                case 'natural':
+                    return (a, b) => sign * collator.compare(a.name, b.name);
+                case 'folder':
+                    return (a, b) => sign * collator.compare(getParentPath(a.path), getParentPath(b.path));
+                case 'random':
+                    return (a, b) => randomKey(a) - randomKey(b);
+                case 'name':
+                default:
+                    return (a, b) => sign * a.name.localeCompare(b.name);
+            }
+        });
+
+        return files.sort((a, b) => {
+            for (const compare of comparators) {
+                const result = compare(a, b);
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+    }
+
+    createUploadButton(container, config, files, galleryContainer) {
+        const uploadBtn = container.createEl('button', {
+            text: '📤 Upload media',
+            cls: 'memories-gallery-upload-btn'
+        });
+        
+        this.registerDomEvent(uploadBtn, 'click', () => {
+            this.showUploadForm(config, files, galleryContainer);
+        });
+    }
+
+    showUploadForm(config, files, galleryContainer) {
+        const overlay = document.createElement('div');
+        overlay.className = 'memories-upload-form-overlay';
+        
+        const form = document.createElement('div');
+        form.className = 'memories-upload-form';
+        
+        const title = form.createEl('h3');
+        title.textContent = 'Upload media files';
+        
+        const pathSection = form.createEl('div');
+        pathSection.className = 'memories-upload-path-section';
+        pathSection.createEl('label', { text: 'Destination folder:' });
+        
+        const pathSelect = pathSection.createEl('select');
+        pathSelect.className = 'memories-upload-path-select';
+        
+        config.paths.forEach(({ path }) => {
+            const option = pathSelect.createEl('option');
+            option.value = path;
+            option.textContent = path;
+        });
+        
+        const dropArea = form.createEl('div');
+        dropArea.className = 'memories-upload-drop-area';
+        
+        const dropContent = dropArea.createEl('div', { cls: 'memories-drop-area-content' });
+        dropContent.createEl('div', { cls: 'memories-drop-icon', text: '📁' });
+        dropContent.createEl('p', { text: 'Drag and drop files here or click to browse' });
+        dropContent.createEl('p', { cls: 'memories-drop-hint', text: 'Supports: images, videos, audio' });
+        dropContent.createEl('p', { cls: 'memories-drop-hint', text: 'Or press Ctrl+V to paste from clipboard' });
+        
+        const buttonSection = form.createEl('div');
+        buttonSection.className = 'memories-upload-button-section';
+        
+        const cancelBtn = buttonSection.createEl('button', {
+            text: 'Cancel',
+            cls: 'memories-upload-cancel-btn'
+        });
+        
+        const uploadBtn = buttonSection.createEl('button', {
+            text: 'Upload files',
+            cls: 'memories-upload-confirm-btn'
+        });
+        uploadBtn.disabled = true;
+        
+        form.appendChild(pathSection);
+        form.appendChild(dropArea);
+        form.appendChild(buttonSection);
+        overlay.appendChild(form);
+        document.body.appendChild(overlay);
+        
+        this.setupUploadHandlers(form, dropArea, pathSelect, uploadBtn, cancelBtn, overlay, config, galleryContainer);
+    }
+
+    setupUploadHandlers(form, dropArea, pathSelect, uploadBtn, cancelBtn, overlay, config, galleryContainer) {
+        let selectedFiles = [];
+        
+        this.registerDomEvent(dropArea, 'click', () => {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.multiple = true;
+            fileInput.accept = 'image/*,video/*,audio/*';
+            fileInput.addEventListener('change', (e) => {
+                const newFiles = Array.from(e.target.files);
+                selectedFiles = [...selectedFiles, ...newFiles];
+                this.updateDropArea(dropArea, selectedFiles);
+                this.updateFileList(form, selectedFiles);
+                uploadBtn.disabled = selectedFiles.length === 0;
+            });
+            fileInput.click();
+        });
+        
+        this.registerDomEvent(dropArea, 'dragover', (e) => {
+            e.preventDefault();
+            dropArea.classList.add('dragover');
+        });
+        
+        this.registerDomEvent(dropArea, 'dragleave', () => {
+            dropArea.classList.remove('dragover');
+        });
+        
+        this.registerDomEvent(dropArea, 'drop', (e) => {
+            e.preventDefault();
+            dropArea.classList.remove('dragover');
+            const newFiles = Array.from(e.dataTransfer.files);
+            selectedFiles = [...selectedFiles, ...newFiles];
+            this.updateDropArea(dropArea, selectedFiles);
+            this.updateFileList(form, selectedFiles);
+            uploadBtn.disabled = selectedFiles.length === 0;
+        });
+        
+        const pasteHandler = (e) => {
+            // Only handle paste if form overlay still exists in DOM
+            if (!document.body.contains(overlay)) return;
+            
+            if (e.clipboardData && e.clipboardData.files.length > 0) {
+                const newFiles = Array.from(e.clipboardData.files);
+                selectedFiles = [...selectedFiles, ...newFiles];
+                this.updateDropArea(dropArea, selectedFiles);
+                this.updateFileList(form, selectedFiles);
+                uploadBtn.disabled = selectedFiles.length === 0;
+                e.preventDefault();
+            }
+        };
+        
+        // Register paste event using Plugin API - will auto-cleanup on plugin unload
+        this.registerDomEvent(document, 'paste', pasteHandler);
+        
+        this.registerDomEvent(cancelBtn, 'click', () => {
+            overlay.remove();
+        });
+        
+        this.registerDomEvent(uploadBtn, 'click', async () => {
+            if (selectedFiles.length > 0) {
+                await this.handleFileUpload(selectedFiles, pathSelect.value, config, galleryContainer);
+                overlay.remove();
+            }
+        });
+        
+        this.registerDomEvent(overlay, 'click', (e) => {
+            if (e.target === overlay) {
+                overlay.remove();
+            }
+        });
+
+        this.updateFileList(form, selectedFiles);
+    }
+
+    updateDropArea(dropArea, files) {
+        dropArea.empty();
+        
+        const content = dropArea.createEl('div');
+        content.className = 'memories-drop-area-content';
+        
+        if (files.length > 0) {
+            content.createEl('div', { cls: 'memories-drop-icon', text: '✅' });
+            content.createEl('p', { text: `${files.length} file(s) selected` });
+            content.createEl('p', { 
+                cls: 'memories-drop-hint',
+                text: 'Click to select more files or drag and drop additional files'
+            });
+        } else {
+            content.createEl('div', { cls: 'memories-drop-icon', text: '📁' });
+            content.createEl('p', { text: 'Drag and drop files here or click to browse' });
+            content.createEl('p', { 
+                cls: 'memories-drop-hint',
+                text: 'Supports: Images, Videos, Audio'
+            });
+            content.createEl('p', { 
+                cls: 'memories-drop-hint',
+                text: 'Or press Ctrl+V to paste from clipboard'
+            });
+        }
+        
+        if (files.length > 0) {
+            dropArea.classList.add('has-files');
+            
+            const fileListContainer = dropArea.parentElement.querySelector('.memories-upload-file-list-container');
+            if (!fileListContainer) {
+                const newFileListContainer = document.createElement('div');
+                newFileListContainer.className = 'memories-upload-file-list-container';
+                dropArea.parentElement.insertBefore(newFileListContainer, dropArea.nextSibling);
+            }
+            
+            this.updateFileList(dropArea.parentElement, files);
+        } else {
+            dropArea.classList.remove('has-files');
+            const fileListContainer = dropArea.parentElement.querySelector('.memories-upload-file-list-container');
+            if (fileListContainer) {
+                fileListContainer.remove();
+            }
+        }
+    }
+
+    updateFileList(container, files) {
+        let fileListContainer = container.querySelector('.memories-upload-file-list-container');
+        if (!fileListContainer) {
+            fileListContainer = document.createElement('div');
+            fileListContainer.className = 'memories-upload-file-list-container';
+            const dropArea = container.querySelector('.memories-upload-drop-area');
+            container.insertBefore(fileListContainer, dropArea.nextSibling);
+        }
+        
+        fileListContainer.empty();
+        
+        const title = fileListContainer.createEl('div');
+        title.className = 'memories-upload-file-list-title';
+        title.textContent = 'Selected files:';
+        
+        const fileList = fileListContainer.createEl('div');
+        fileList.className = 'memories-upload-file-list';
+        
+        files.forEach((file, index) => {
+            const fileItem = fileList.createEl('div');
+            fileItem.className = 'memories-upload-file-item';
+            
+            const fileIcon = fileItem.createEl('span');
+            fileIcon.className = 'memories-upload-file-icon';
+            fileIcon.textContent = this.getFileTypeIcon(file.name);
+            
+            const fileName = fileItem.createEl('span');
+            fileName.textContent = file.name;
+            fileName.className = 'memories-upload-file-name';
+            
+            const fileSize = fileItem.createEl('span');
+            fileSize.className = 'memories-upload-file-size';
+            fileSize.textContent = this.formatFileSize(file.size);
+            
+            const removeBtn = fileItem.createEl('button');
+            removeBtn.textContent = '✕';
+            removeBtn.className = 'memories-upload-remove-file';
+            this.registerDomEvent(removeBtn, 'click', (e) => {
+                e.stopPropagation();
+                files.splice(index, 1);
+                this.updateDropArea(container.querySelector('.memories-upload-drop-area'), files);
+            });
+        });
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        
+        let size = parseFloat((bytes / Math.pow(k, i)).toFixed(2));
+        let unit = sizes[i];
+        
+        if (unit === 'GB' || unit === 'TB') {
+            size = Math.round(size * 10) / 10;
+        }
+        
+        return `${size} ${unit}`;
+    }
+
+    async handleFileUpload(files, targetPath, config, galleryContainer) {
+        const loadingIndicator = galleryContainer.createEl('div', {
+            cls: 'memories-upload-loading',
+            text: `Uploading ${files.length} file(s)...`
+        });
+        
+        try {
+            for (const file of files) {
+                await this.saveFileToVault(file, targetPath);
+            }
+            
+            loadingIndicator.remove();
+            await this.refreshGallery(galleryContainer, config);
+            
+        } catch (error) {
+            loadingIndicator.remove();
+            console.error('Upload error:', error);
+            new Notice('Error uploading files: ' + error.message);
+        }
+    }
+
+    async saveFileToVault(file, targetPath) {
+        const arrayBuffer = await file.arrayBuffer();
+        const fileName = this.getUniqueFileName(targetPath, file.name);
+        const fullPath = normalizePath(`${targetPath}/${fileName}`);
+        
+        await this.app.vault.createBinary(fullPath, arrayBuffer);
+    }
+
+    getUniqueFileName(folderPath, fileName) {
+        const fileExtension = fileName.split('.').pop();
+        const baseName = fileName.substring(0, fileName.length - fileExtension.length - 1);
+        
+        let newName = fileName;
+        let counter = 1;
+        
+        while (this.app.vault.getAbstractFileByPath(normalizePath(`${folderPath}/${newName}`))) {
+            newName = `${baseName}_${counter}.${fileExtension}`;
+            counter++;
+        }
+        
+        return newName;
+    }
+
+    async refreshGallery(container, config) {
+        await this.refreshCurrentGallery(container);
+    }
+
+    onunload() {
+        const lightbox = document.getElementById('memories-lightbox-overlay');
+        if (lightbox) lightbox.remove();
+        
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+        
+        this.thumbnailScheduler.clear();
+        this.player.destroy();
+        this.workerPool.forEach(workerInfo => {
+            workerInfo.worker.terminate();
+        });
+        this.workerPool = [];
+        
+        if (this.updateTimer !== null) window.clearTimeout(this.updateTimer);
+        this.galleries.clear();
+        this.staleGalleries.clear();
+        
+        this.thumbnailCache.flush().catch(error => console.warn('Could not save thumbnail cache index:', error));
+        this.thumbnailCache.releaseMemoryUrls();
+        this.exifCache.clear();
+        this.audioTagCache.clear();
+        this.pendingRequests.clear();
+    }
+}
+
+function normalizeConfigSource(source) {
+    const lines = source.split('\n');
+    const hasOptions = lines.some(line => /^[\w-]+\s*:/.test(line));
+    const barePaths = [];
+
+    const text = lines.filter(line => {
+        // Older blocks could name a folder on a line of its own, next to other options. These are
+        // taken out and added to the paths list, as separate "paths:" lines would be duplicate keys
+        const trimmed = line.trim();
+        if (hasOptions && trimmed && line === line.trimStart() && !trimmed.includes(':') && !/^[-#[{'"|>]/.test(trimmed)) {
+            barePaths.push(trimmed);
+            return false;
+        }
+        return true;
+    }).map(line => {
+        // "@" is reserved in YAML, but "paths: @attachments" should work unquoted
+        const shortcut = line.match(/^(\s*(?:[\w-]+:\s+|-\s+)?)(@[^#'"]*?)\s*$/);
+        return shortcut ? `${shortcut[1]}"${shortcut[2]}"` : line;
+    }).join('\n');
+
+    return { text, barePaths };
+}
+
+function getParentPath(path) {
+    const index = (path || '').lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+function resolveRelativePath(base, relative) {
+    const segments = base ? base.split('/') : [];
+    for (const part of relative.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            if (segments.length === 0) return null;
+            segments.pop();
+        } else {
+            segments.push(part);
+        }
+    }
+    return segments.join('/');
+}
+
+function validateOptions(data, schema, target, warnings, prefix = '') {
+    for (const [name, value] of Object.entries(data)) {
+        const label = prefix + name;
+        const rule = schema[name];
+
+        if (!rule) {
+            const suggestion = closestMatch(name, Object.keys(schema));
+            warnings.push(suggestion ?
+                `Unknown option "${label}" (did you mean "${prefix}${suggestion}"?)` :
+                `Unknown option "${label}"`);
+            continue;
+        }
+
+        const result = coerceOption(value, rule, label, warnings);
+        if (result !== undefined) {
+            target[rule.key] = result;
+        }
+    }
+}
+
+function coerceOption(value, rule, label, warnings) {
+    if (value === null || value === undefined) {
+        warnings.push(`Option "${label}" has no value`);
+        return undefined;
+    }
+
+    switch (rule.type) {
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).toLowerCase();
+            if (['true', 'yes', 'on'].includes(text)) return true;
+            if (['false', 'no', 'off'].includes(text)) return false;
+            warnings.push(`Option "${label}" must be true or false, got "${value}"`);
+            return undefined;
+        }
+        case 'integer': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (!Number.isInteger(number)) {
+                warnings.push(`Option "${label}" must be a whole number, got "${value}"`);
+                return undefined;
+            }
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+                warnings.push(`Option "${label}" must be ${range}, got ${number}`);
+                return undefined;
+            }
+            return number;
+        }
+        case 'string': {
+            if (typeof value === 'object') {
+                warnings.push(`Option "${label}" must be a single value`);
+                return undefined;
+            }
+            return String(value).trim();
+        }
+        case 'enum': {
+            const text = String(value).trim().toLowerCase();
+            if (rule.values.includes(text)) return text;
+            const suggestion = closestMatch(text, rule.values);
+            warnings.push(`Option "${label}" does not accept "${value}"` +
+                (suggestion ? ` (did you mean "${suggestion}"?)` : ` (expected one of: ${rule.values.join(', ')})`));
+            return undefined;
+        }
+        case 'list': {
+            // "a, b" is kept for older blocks; YAML lists allow items that contain commas
+            const items = Array.isArray(value) ? value : String(value).split(',');
+            const result = [];
+            items.forEach((item, index) => {
+                if (rule.item) {
+                    const coerced = coerceOption(item, rule.item, `${label}[${index + 1}]`, warnings);
+                    if (coerced !== undefined) result.push(coerced);
+                } else if (item !== null && typeof item === 'object') {
+                    warnings.push(`Option "${label}" item ${index + 1} must be a single value`);
+                } else if (item !== null && String(item).trim()) {
+                    result.push(String(item).trim());
+                }
+            });
+            return result;
+        }
+        case 'seconds': {
+            if (value === false) return false;
+            if (value === true) return 3;
+            const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*s?$/);
+            const seconds = match ? parseFloat(match[1]) : NaN;
+            if (isNaN(seconds) || seconds < 1 || seconds > 60) {
+                warnings.push(`Option "${label}" must be true, false or a number of seconds between 1 and 60, got "${value}"`);
+                return undefined;
+            }
+            return seconds;
+        }
+        case 'poster': {
+            const text = String(value).trim().toLowerCase();
+            if (text === 'auto') return null;
+            
+            const percent = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+            if (percent && parseFloat(percent[1]) <= 100) {
+                return { kind: 'percent', value: parseFloat(percent[1]) / 100, label: text.replace(/\s/g, '') };
+            }
+            const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+            const seconds = clock ?
+                (parseInt(clock[1] || '0') * 3600 + parseInt(clock[2]) * 60 + parseFloat(clock[3])) :
+                (text.match(/^\d+(?:\.\d+)?\s*s?$/) ? parseFloat(text) : NaN);
+            if (isNaN(seconds)) {
+                warnings.push(`Option "${label}" must be auto, a percentage like 10% or a time like 00:00:05, got "${value}"`);
+                return undefined;
+            }
+            return { kind: 'time', value: seconds, label: `${seconds}s` };
+        }
+        case 'days': {
+            const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([dw]?)$/);
+            const days = match ? parseInt(match[1]) * (match[2] === 'w' ? 7 : 1) : NaN;
+            if (isNaN(days) || days > rule.max) {
+                warnings.push(`Option "${label}" must be a number of days like 3d or 1w (at most ${rule.max} days), got "${value}"`);
+                return undefined;
+            }
+            return days;
+        }
+        case 'date': {
+            if (rule.allowNote && String(value).trim().toLowerCase() === 'note') {
+                return { kind: 'note' };
+            }
+            const spec = parseDateSpec(value);
+            if (!spec) {
+                warnings.push(`Option "${label}" must be a date like 2025-03-14 or a relative one like -30d, got "${value}"`);
+            }
+            return spec || undefined;
+        }
+        case 'pattern': {
+            const text = String(value).trim();
+            const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+            if (!regexMatch) return compileGlob(text);
+            try {
+                return { regex: new RegExp(regexMatch[1], regexMatch[2]), matchName: true };
+            } catch (error) {
+                warnings.push(`Option "${label}" is not a valid regular expression: ${error.message}`);
+                return undefined;
+            }
+        }
+        case 'source': {
+            const text = String(value).trim();
+            const lower = text.toLowerCase();
+            if (lower === 'embeds' || lower === 'backlinks') {
+                return { kind: lower };
+            }
+            if (lower.startsWith('tag:') && text.length > 4) {
+                return { kind: 'tag', tag: '#' + text.slice(4).trim().replace(/^#/, '') };
+            }
+            const suggestion = closestMatch(lower.split(':')[0], ['embeds', 'backlinks', 'tag']);
+            warnings.push(`Option "${label}" must be embeds, backlinks or tag:#name, got "${value}"` +
+                (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+            return undefined;
+        }
+        case 'path': {
+            if (typeof value !== 'object') {
+                return { path: String(value).trim() };
+            }
+            if (Array.isArray(value)) {
+                warnings.push(`Option "${label}" must be a folder or a group of "option: value" pairs`);
+                return undefined;
+            }
+            const entry = {};
+            validateOptions(value, PATH_SCHEMA, entry, warnings, `${label}.`);
+            if (!entry.path) {
+                warnings.push(`Option "${label}" needs a "path"`);
+                return undefined;
+            }
+            return entry;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                warnings.push(`Option "${label}" must be a group of "option: value" pairs`);
+                return undefined;
+            }
+            const result = rule.defaults ? { ...rule.defaults } : {};
+            validateOptions(value, rule.fields, result, warnings, `${label}.`);
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+function compileGlob(glob) {
+    const pattern = String(glob).trim().replace(/^\.?\//, '');
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches any number of folders, including none
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return {
+        regex: new RegExp(`^${source}$`, 'i'),
+        // Patterns without a folder part apply to the file name at any depth
+        matchName: !pattern.includes('/')
+    };
+}
+
+function matchesGlob(glob, file, basePath = '') {
+    if (glob.matchName) return glob.regex.test(file.name);
+    const relativePath = basePath && file.path.startsWith(`${basePath}/`) ?
+        file.path.slice(basePath.length + 1) :
+        file.path;
+    return glob.regex.test(relativePath) || glob.regex.test(file.path);
+}
+
+function parseDateSpec(value) {
+    if (value instanceof Date) {
+        if (isNaN(value)) return null;
+        // YAML parses bare dates as UTC midnight; keep the calendar day in local time.
+        const date = new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+        return { kind: 'absolute', date, hasTime: false };
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'today') return { kind: 'relative', amount: 0, unit: 'd' };
+    if (text === 'yesterday') return { kind: 'relative', amount: -1, unit: 'd' };
+
+    const relative = text.match(/^([+-]?\d+)\s*([dwmy])$/);
+    if (relative) {
+        return { kind: 'relative', amount: parseInt(relative[1]), unit: relative[2] };
+    }
+
+    const absolute = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[ t](\d{1,2}):(\d{2}))?$/);
+    if (!absolute) return null;
+
+    const [, year, month, day, hours, minutes] = absolute;
+    const date = new Date(+year, month - 1, day ? +day : 1, hours ? +hours : 0, minutes ? +minutes : 0);
+    if (isNaN(date) || date.getMonth() !== month - 1) return null;
+
+    return { kind: 'absolute', date, hasTime: hours !== undefined, wholeMonth: !day };
+}
+
+function resolveDateBound(spec, isEnd) {
+    let date;
+    if (spec.kind === 'relative') {
+        date = new Date();
+        date.setHours(0, 0, 0, 0);
+        if (spec.unit === 'd') date.setDate(date.getDate() + spec.amount);
+        if (spec.unit === 'w') date.setDate(date.getDate() + spec.amount * 7);
+        if (spec.unit === 'm') date.setMonth(date.getMonth() + spec.amount);
+        if (spec.unit === 'y') date.setFullYear(date.getFullYear() + spec.amount);
+    } else {
+        date = new Date(spec.date.getTime());
+        if (spec.hasTime) return date.getTime();
+        if (spec.wholeMonth && isEnd) {
+            date.setMonth(date.getMonth() + 1, 0);
+        }
+    }
+
+    // Date-only bounds include the whole day
+    if (isEnd) {
+        date.setHours(23, 59, 59, 999);
+    } else {
+        date.setHours(0, 0, 0, 0);
+    }
+    return date.getTime();
+}
+
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+const EXIF_TAGS = {
+    0x010F: 'Make',
+    0x0110: 'Model',
+    0x0112: 'Orientation',
+    0x0132: 'DateTime',
+    0x829A: 'ExposureTime',
+    0x829D: 'FNumber',
+    0x8769: 'ExifIFD',
+    0x8825: 'GPSIFD',
+    0x8827: 'ISO',
+    0x9003: 'DateTimeOriginal',
+    0x9004: 'DateTimeDigitized',
+    0x9010: 'OffsetTime',
+    0x9011: 'OffsetTimeOriginal',
+    0x9012: 'OffsetTimeDigitized',
+    0x9204: 'ExposureBias',
+    0x920A: 'FocalLength',
+    0xA405: 'FocalLength35mm',
+    0xA433: 'LensMake',
+    0xA434: 'LensModel'
+};
+
+const GPS_TAGS = {
+    0x0001: 'GPSLatitudeRef',
+    0x0002: 'GPSLatitude',
+    0x0003: 'GPSLongitudeRef',
+    0x0004: 'GPSLongitude',
+    0x0005: 'GPSAltitudeRef',
+    0x0006: 'GPSAltitude'
+};
+
+function readImageMetadata(buffer, extension) {
+    const view = new DataView(buffer);
+    let segments;
+
+    try {
+        if (view.byteLength >= 4 && view.getUint16(0) === 0xFFD8) {
+            segments = readJpegSegments(view);
+        } else if (view.byteLength >= 8 && view.getUint32(0) === 0x89504E47) {
+            segments = readPngSegments(view);
+        } else if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+            segments = readWebpSegments(view);
+        } else if (view.byteLength >= 12 && readAscii(view, 4, 4) === 'ftyp') {
+            segments = readHeifSegments(view);
+        } else if (view.byteLength >= 10 && readAscii(view, 0, 4) === 'GIF8') {
+            segments = { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+        } else if (view.byteLength >= 26 && readAscii(view, 0, 2) === 'BM') {
+            segments = { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+        } else {
+            return null;
+        }
+    } catch (error) {
+        // Truncated or unusual files simply have no readable metadata
+        return null;
+    }
+
+    const tags = segments.tiffOffset !== undefined ? readTiffTags(view, segments.tiffOffset) : {};
+    const xmp = segments.xmp ? readXmpDates(segments.xmp) : {};
+
+    const taken = parseExifDate(tags.DateTimeOriginal, tags.OffsetTimeOriginal) ||
+        xmp.DateTimeOriginal ||
+        parseExifDate(tags.DateTimeDigitized, tags.OffsetTimeDigitized) ||
+        xmp.CreateDate ||
+        parseExifDate(tags.DateTime, tags.OffsetTime) ||
+        null;
+
+    const hasExif = Boolean(taken) || Object.keys(tags).length > 0;
+    if (!hasExif && !segments.width) return null;
+
+    const orientation = tags.Orientation || 1;
+    // Orientations 5-8 are rotated by 90°, so the displayed width is the stored height
+    const rotated = orientation >= 5 && orientation <= 8;
+    return {
+        taken,
+        orientation,
+        width: (rotated ? segments.height : segments.width) || null,
+        height: (rotated ? segments.width : segments.height) || null,
+        hasExif,
+        tags
+    };
+}
+
+function readJpegSegments(view) {
+    const result = {};
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xFF) break;
+        const marker = view.getUint8(offset + 1);
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = view.getUint16(offset + 2);
+        const dataStart = offset + 4;
+
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isStartOfFrame && dataStart + 5 <= view.byteLength) {
+            result.height = view.getUint16(dataStart + 1);
+            result.width = view.getUint16(dataStart + 3);
+        } else if (marker === 0xE1) {
+            if (readAscii(view, dataStart, 6) === 'Exif\0\0') {
+                result.tiffOffset = dataStart + 6;
+            } else if (readAscii(view, dataStart, 28) === 'http://ns.adobe.com/xap/1.0/') {
+                result.xmp = readAscii(view, dataStart + 29, length - 31);
+            }
+        }
+        offset += 2 + length;
+    }
+    return result;
+}
+
+function readPngSegments(view) {
+    const result = {};
+    let offset = 8;
+
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const type = readAscii(view, offset + 4, 4);
+        const dataStart = offset + 8;
+        if (type === 'IEND' || dataStart + length > view.byteLength) break;
+
+        if (type === 'IHDR') {
+            result.width = view.getUint32(dataStart);
+            result.height = view.getUint32(dataStart + 4);
+        } else if (type === 'eXIf') {
+            result.tiffOffset = dataStart;
+        } else if (type === 'iTXt' && readAscii(view, dataStart, 17) === 'XML:com.adobe.xmp') {
+            const text = readAscii(view, dataStart, length);
+            const start = text.indexOf('<');
+            if (start !== -1) result.xmp = text.slice(start);
+        }
+        offset = dataStart + length + 4;
+    }
+    return result;
+}
+
+function readWebpSegments(view) {
+    const result = {};
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const type = readAscii(view, offset, 4);
+        const length = view.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        if (dataStart + length > view.byteLength) break;
+
+        if (type === 'VP8X') {
+            result.width = 1 + (view.getUint32(dataStart + 4, true) & 0xFFFFFF);
+            result.height = 1 + (view.getUint32(dataStart + 6, true) >>> 8);
+        } else if (type === 'VP8 ' && !result.width) {
+            result.width = view.getUint16(dataStart + 6, true) & 0x3FFF;
+            result.height = view.getUint16(dataStart + 8, true) & 0x3FFF;
+        } else if (type === 'VP8L' && !result.width) {
+            const bits = view.getUint32(dataStart + 1, true);
+            result.width = 1 + (bits & 0x3FFF);
+            result.height = 1 + ((bits >>> 14) & 0x3FFF);
+        } else if (type === 'EXIF') {
+            result.tiffOffset = readAscii(view, dataStart, 6) === 'Exif\0\0' ? dataStart + 6 : dataStart;
+        } else if (type === 'XMP ') {
+            result.xmp = readAscii(view, dataStart, length);
+        }
+        offset = dataStart + length + (length % 2);
+    }
+    return result;
+}
+
+function readHeifSegments(view) {
+    const result = {};
+    const meta = findBox(view, 0, view.byteLength, 'meta');
+    if (!meta) return result;
+
+    // "meta" is a full box: skip version and flags
+    const childrenStart = meta.start + 4;
+    const iprp = findBox(view, childrenStart, meta.end, 'iprp');
+    const ipco = iprp && findBox(view, iprp.start, iprp.end, 'ipco');
+    if (ipco) {
+        // The largest "ispe" belongs to the full image rather than a tile or the thumbnail
+        let offset = ipco.start;
+        while (offset + 20 <= ipco.end) {
+            const size = view.getUint32(offset);
+            if (size < 8) break;
+            if (readAscii(view, offset + 4, 4) === 'ispe') {
+                const width = view.getUint32(offset + 12);
+                const height = view.getUint32(offset + 16);
+                if (!result.width || width * height > result.width * result.height) {
+                    result.width = width;
+                    result.height = height;
+                }
+            }
+            offset += size;
+        }
+    }
+
+    const iinf = findBox(view, childrenStart, meta.end, 'iinf');
+    const iloc = findBox(view, childrenStart, meta.end, 'iloc');
+    if (!iinf || !iloc) return result;
+
+    let exifItemId = null;
+    const iinfVersion = view.getUint8(iinf.start);
+    let offset = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4);
+    while (offset + 8 <= iinf.end && exifItemId === null) {
+        const size = view.getUint32(offset);
+        if (size < 8) break;
+        if (readAscii(view, offset + 4, 4) === 'infe') {
+            const version = view.getUint8(offset + 8);
+            if (version >= 2) {
+                const idSize = version === 2 ? 2 : 4;
+                const itemId = idSize === 2 ? view.getUint16(offset + 12) : view.getUint32(offset + 12);
+                const itemType = readAscii(view, offset + 12 + idSize + 2, 4);
+                if (itemType === 'Exif') exifItemId = itemId;
+            }
+        }
+        offset += size;
+    }
+    if (exifItemId === null) return result;
+
+    const version = view.getUint8(iloc.start);
+    const sizes = view.getUint16(iloc.start + 4);
+    const offsetSize = sizes >> 12;
+    const lengthSize = (sizes >> 8) & 0xF;
+    const baseOffsetSize = (sizes >> 4) & 0xF;
+    const indexSize = version > 0 ? sizes & 0xF : 0;
+    offset = iloc.start + 6;
+
+    const readSized = (size) => {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + view.getUint8(offset + i);
+        }
+        offset += size;
+        return value;
+    };
+
+    const itemCount = version < 2 ? readSized(2) : readSized(4);
+    for (let i = 0; i < itemCount; i++) {
+        const itemId = version < 2 ? readSized(2) : readSized(4);
+        const constructionMethod = version > 0 ? readSized(2) & 0xF : 0;
+        readSized(2);
+        const baseOffset = readSized(baseOffsetSize);
+        const extentCount = readSized(2);
+        let extentOffset = 0;
+        for (let e = 0; e < extentCount; e++) {
+            if (indexSize) readSized(indexSize);
+            const thisOffset = readSized(offsetSize);
+            readSized(lengthSize);
+            if (e === 0) extentOffset = thisOffset;
+        }
+
+        if (itemId === exifItemId && constructionMethod === 0) {
+            const start = baseOffset + extentOffset;
+            if (start + 4 <= view.byteLength) {
+                // The Exif item starts with the offset of the TIFF header
+                result.tiffOffset = start + 4 + view.getUint32(start);
+            }
+            break;
+        }
+    }
+    return result;
+}
+
+function findBox(view, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) return null;
+        if (readAscii(view, offset + 4, 4) === type) {
+            return { start: offset + header, end: Math.min(offset + size, end) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function readTiffTags(view, tiffOffset) {
+    const tags = {};
+    if (tiffOffset + 8 > view.byteLength) return tags;
+
+    const byteOrder = view.getUint16(tiffOffset);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return tags;
+    const little = byteOrder === 0x4949;
+    if (view.getUint16(tiffOffset + 2, little) !== 42) return tags;
+
+    const visited = new Set();
+    const readIfd = (ifdOffset, names) => {
+        const start = tiffOffset + ifdOffset;
+        if (visited.has(start) || start + 2 > view.byteLength) return;
+        visited.add(start);
+
+        const count = view.getUint16(start, little);
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            if (entry + 12 > view.byteLength) return;
+
+            const name = names[view.getUint16(entry, little)];
+            if (!name) continue;
+            const value = readTiffValue(view, tiffOffset, entry, little);
+            if (value !== undefined) tags[name] = value;
+        }
+    };
+
+    readIfd(view.getUint32(tiffOffset + 4, little), EXIF_TAGS);
+    if (tags.ExifIFD) readIfd(tags.ExifIFD, EXIF_TAGS);
+    if (tags.GPSIFD) readIfd(tags.GPSIFD, GPS_TAGS);
+    delete tags.ExifIFD;
+    delete tags.GPSIFD;
+    return tags;
+}
+
+function transplantExif(original, edited) {
+    const source = new DataView(original);
+    if (source.byteLength < 4 || source.getUint16(0) !== 0xFFD8) return edited;
+    const { tiffOffset } = readJpegSegments(source);
+    if (tiffOffset === undefined) return edited;
+    
+    // The APP1 marker, its length and "Exif\0\0" come before the TIFF header
+    const segmentStart = tiffOffset - 10;
+    const segmentEnd = segmentStart + 2 + source.getUint16(segmentStart + 2);
+    if (segmentEnd > source.byteLength) return edited;
+    const segment = new Uint8Array(original.slice(segmentStart, segmentEnd));
+    resetExifOrientation(new DataView(segment.buffer), 10);
+    
+    const target = new Uint8Array(edited);
+    if (target[0] !== 0xFF || target[1] !== 0xD8) return edited;
+    // JFIF wants its APP0 header straight after SOI, Exif follows it
+    let insertAt = 2;
+    if (target[2] === 0xFF && target[3] === 0xE0) insertAt = 4 + ((target[4] << 8) | target[5]);
+    
+    const result = new Uint8Array(target.length + segment.length);
+    result.set(target.subarray(0, insertAt), 0);
+    result.set(segment, insertAt);
+    result.set(target.subarray(insertAt), insertAt + segment.length);
+    return result.buffer;
+}
+
+function resetExifOrientation(view, tiffOffset) {
+    const little = view.getUint16(tiffOffset) === 0x4949;
+    const ifd = tiffOffset + view.getUint32(tiffOffset + 4, little);
+    if (ifd + 2 > view.byteLength) return;
+    
+    // The pixels are stored upright now
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return;
+        if (view.getUint16(entry, little) === 0x0112) view.setUint16(entry + 8, 1, little);
+    }
+    // IFD1 holds the embedded preview, which would still show the unedited image
+    const next = ifd + 2 + count * 12;
+    if (next + 4 <= view.byteLength) view.setUint32(next, 0, little);
+}
+
+function readTiffValue(view, tiffOffset, entry, little) {
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const unitSize = TIFF_TYPE_SIZES[type];
+    if (!unitSize) return undefined;
+
+    const totalSize = unitSize * count;
+    const valueOffset = totalSize > 4 ? tiffOffset + view.getUint32(entry + 8, little) : entry + 8;
+    if (valueOffset + totalSize > view.byteLength) return undefined;
+
+    if (type === 2) {
+        return readAscii(view, valueOffset, count).replace(/\0+$/, '').trim();
+    }
+
+    const values = [];
+    for (let i = 0; i < Math.min(count, 64); i++) {
+        const at = valueOffset + i * unitSize;
+        switch (type) {
+            case 1: case 7: values.push(view.getUint8(at)); break;
+            case 3: values.push(view.getUint16(at, little)); break;
+            case 4: values.push(view.getUint32(at, little)); break;
+            case 9: values.push(view.getInt32(at, little)); break;
+            case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+            case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+            default: return undefined;
+        }
+    }
+    return count === 1 ? values[0] : values;
+}
+
+function readXmpDates(xmp) {
+    const result = {};
+    const fields = {
+        DateTimeOriginal: ['exif:DateTimeOriginal', 'photoshop:DateCreated'],
+        CreateDate: ['xmp:CreateDate']
+    };
+
+    for (const [key, names] of Object.entries(fields)) {
+        for (const name of names) {
+            // Either name="value" or <name>value</name>
+            const match = xmp.match(new RegExp(`${name}\\s*=\\s*"([^"]+)"`)) ||
+                xmp.match(new RegExp(`<${name}>([^<]+)</${name}>`));
+            const date = match ? parseIsoDate(match[1]) : null;
+            if (date) {
+                result[key] = date;
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+function parseExifDate(value, offset) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    return parseIsoDate(typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? iso + offset : iso);
+}
+
+function parseIsoDate(value) {
+    // Without a zone, EXIF and XMP times are local to where the photo was taken
+    const date = new Date(value.trim());
+    return isNaN(date) ? null : date;
+}
+
+function readAscii(view, offset, length) {
+    let text = '';
+    const end = Math.min(offset + length, view.byteLength);
+    for (let i = offset; i < end; i++) {
+        text += String.fromCharCode(view.getUint8(i));
+    }
+    return text;
+}
+
+function readAudioMetadata(buffer, format = null) {
+    const view = new DataView(buffer);
+    try {
+        // A read from the middle of an M4A file starts at its moov box rather than ftyp
+        if (format === 'mp4') {
+            return readMp4Tags(view);
+        }
+        if (view.byteLength >= 10 && readAscii(view, 0, 3) === 'ID3') {
+            return readId3Tags(view);
+        }
+        if (view.byteLength >= 8 && readAscii(view, 0, 4) === 'fLaC') {
+            return readFlacTags(view);
+        }
+        if (view.byteLength >= 12 && readAscii(view, 4, 4) === 'ftyp') {
+            return readMp4Tags(view);
+        }
+    } catch (error) {
+        // Damaged tags are treated like missing ones
+    }
+    return { complete: true, title: null, artist: null, album: null, cover: null };
+}
+
+function readId3Tags(view) {
+    const result = { complete: true, title: null, artist: null, album: null, cover: null };
+    const major = view.getUint8(3);
+    const flags = view.getUint8(5);
+    const size = readSyncsafe(view, 6);
+    if (10 + size > view.byteLength) {
+        return { ...result, complete: false, length: 10 + size };
+    }
+
+    let bytes = new Uint8Array(view.buffer, view.byteOffset + 10, size);
+    // Before v2.4 unsynchronisation applies to the whole tag, v2.4 flags it per frame
+    if ((flags & 0x80) && major < 4) bytes = removeUnsynchronisation(bytes);
+    const frames = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let offset = 0;
+    if (flags & 0x40) {
+        offset = major === 4 ? readSyncsafe(frames, 0) : frames.getUint32(0) + 4;
+    }
+
+    const idLength = major === 2 ? 3 : 4;
+    const headerLength = major === 2 ? 6 : 10;
+    let coverType = -1;
+
+    while (offset + headerLength <= bytes.length) {
+        const id = readAscii(frames, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break;
+
+        let frameSize;
+        if (major === 2) {
+            frameSize = (frames.getUint8(offset + 3) << 16) | frames.getUint16(offset + 4);
+        } else {
+            frameSize = major === 4 ? readSyncsafe(frames, offset + 4) : frames.getUint32(offset + 4);
+        }
+        const formatFlags = major === 2 ? 0 : frames.getUint8(offset + 9);
+        let data = bytes.subarray(offset + headerLength, offset + headerLength + frameSize);
+        offset += headerLength + frameSize;
+
+        // Compressed and encrypted frames are skipped
+        if (major === 4 && (formatFlags & 0x0C)) continue;
+        if (major === 3 && (formatFlags & 0xC0)) continue;
+        if (major === 4 && (formatFlags & 0x02)) data = removeUnsynchronisation(data);
+        if (major === 4 && (formatFlags & 0x01)) data = data.subarray(4);
+        if (data.length === 0) continue;
+
+        if (id === 'TIT2' || id === 'TT2') {
+            result.title = decodeId3Text(data.subarray(1), data[0]);
+        } else if (id === 'TPE1' || id === 'TP1') {
+            result.artist = decodeId3Text(data.subarray(1), data[0]);
+        } else if (id === 'TALB' || id === 'TAL') {
+            result.album = decodeId3Text(data.subarray(1), data[0]);
+        } else if (id === 'APIC' || id === 'PIC') {
+            const encoding = data[0];
+            let position = 1;
+            let mime;
+            if (id === 'PIC') {
+                const format = String.fromCharCode(data[1], data[2], data[3]).toUpperCase();
+                mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+                position = 4;
+            } else {
+                const mimeEnd = data.indexOf(0, position);
+                if (mimeEnd === -1) continue;
+                mime = new TextDecoder('latin1').decode(data.subarray(position, mimeEnd)) || 'image/jpeg';
+                position = mimeEnd + 1;
+            }
+            const pictureType = data[position];
+            position = findId3Terminator(data, position + 1, encoding);
+
+            // Front cover (3) wins over any other picture
+            if (coverType !== 3 && position < data.length) {
+                result.cover = { mime: mime.includes('/') ? mime : `image/${mime.toLowerCase()}`, data: data.slice(position) };
+                coverType = pictureType;
+            }
+        }
+    }
+    return result;
+}
+
+function readSyncsafe(view, offset) {
+    return (view.getUint8(offset) << 21) | (view.getUint8(offset + 1) << 14) |
+        (view.getUint8(offset + 2) << 7) | view.getUint8(offset + 3);
+}
+
+function removeUnsynchronisation(bytes) {
+    const result = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result[length++] = bytes[i];
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+    }
+    return result.subarray(0, length);
+}
+
+function findId3Terminator(data, start, encoding) {
+    // Latin-1 and UTF-8 end with one zero byte, UTF-16 with two on an even offset
+    if (encoding === 1 || encoding === 2) {
+        for (let i = start; i + 1 < data.length; i += 2) {
+            if (data[i] === 0 && data[i + 1] === 0) return i + 2;
+        }
+        return data.length;
+    }
+    const end = data.indexOf(0, start);
+    return end === -1 ? data.length : end + 1;
+}
+
+function decodeId3Text(bytes, encoding) {
+    const label = ['latin1', 'utf-16', 'utf-16be', 'utf-8'][encoding] || 'latin1';
+    // v2.4 separates several values with zero characters
+    const text = new TextDecoder(label).decode(bytes).split('\0').map(value => value.trim()).filter(Boolean).join(', ');
+    return text || null;
+}
+
+function readFlacTags(view) {
+    const result = { complete: true, title: null, artist: null, album: null, cover: null };
+    let offset = 4;
+
+    while (offset + 4 <= view.byteLength) {
+        const header = view.getUint8(offset);
+        const type = header & 0x7F;
+        const length = (view.getUint8(offset + 1) << 16) | view.getUint16(offset + 2);
+        const start = offset + 4;
+        if (start + length > view.byteLength) {
+            return { ...result, complete: false, length: start + length };
+        }
+
+        if (type === 4) {
+            const decoder = new TextDecoder('utf-8');
+            let position = start + 4 + view.getUint32(start, true);
+            const count = view.getUint32(position, true);
+            position += 4;
+            for (let i = 0; i < count && position + 4 <= start + length; i++) {
+                const commentLength = view.getUint32(position, true);
+                const comment = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + position + 4, commentLength));
+                position += 4 + commentLength;
+
+                const separator = comment.indexOf('=');
+                const key = comment.slice(0, separator).toUpperCase();
+                const value = comment.slice(separator + 1).trim();
+                if (key === 'TITLE' && !result.title) result.title = value;
+                if (key === 'ARTIST' && !result.artist) result.artist = value;
+                if (key === 'ALBUM' && !result.album) result.album = value;
+            }
+        } else if (type === 6) {
+            const pictureType = view.getUint32(start);
+            const mimeLength = view.getUint32(start + 4);
+            const mime = readAscii(view, start + 8, mimeLength);
+            const descriptionLength = view.getUint32(start + 8 + mimeLength);
+            const dataStart = start + 12 + mimeLength + descriptionLength + 16;
+            const dataLength = view.getUint32(dataStart);
+            if (!result.cover || pictureType === 3) {
+                result.cover = {
+                    mime: mime || 'image/jpeg',
+                    data: new Uint8Array(view.buffer.slice(view.byteOffset + dataStart + 4, view.byteOffset + dataStart + 4 + dataLength))
+                };
+            }
+        }
+
+        if (header & 0x80) break;
+        offset = start + length;
+    }
+    return result;
+}
+
+function readMp4Tags(view) {
+    const result = { complete: true, title: null, artist: null, album: null, cover: null };
+
+    const { moov, complete, length, next } = findMoovBox(view);
+    if (!complete) return { ...result, complete, length, next };
+    if (!moov) return result;
+
+    const udta = findBox(view, moov.start, moov.end, 'udta');
+    const meta = udta && findBox(view, udta.start, udta.end, 'meta');
+    // meta is a full box: four bytes of version and flags before its children
+    const ilst = meta && findBox(view, meta.start + 4, meta.end, 'ilst');
+    if (!ilst) return result;
+
+    const decoder = new TextDecoder('utf-8');
+    let offset = ilst.start;
+    while (offset + 8 <= ilst.end) {
+        const size = view.getUint32(offset);
+        if (size < 8) break;
+        const type = readAscii(view, offset + 4, 4);
+        const data = findBox(view, offset + 8, Math.min(offset + size, ilst.end), 'data');
+        offset += size;
+        if (!data || data.end - data.start < 8) continue;
+
+        // data starts with its own type (13 JPEG, 14 PNG, 1 UTF-8) and a locale
+        const dataType = view.getUint32(data.start) & 0xFFFFFF;
+        const payload = new Uint8Array(view.buffer, view.byteOffset + data.start + 8, data.end - data.start - 8);
+        if (type === '©nam') result.title = decoder.decode(payload);
+        if (type === '©ART') result.artist = decoder.decode(payload);
+        if (type === '©alb') result.album = decoder.decode(payload);
+        if (type === 'covr' && !result.cover) {
+            result.cover = { mime: dataType === 14 ? 'image/png' : 'image/jpeg', data: payload.slice() };
+        }
+    }
+    return result;
+}
+
+function findMoovBox(view) {
+    // moov often sits after the media data, so a head read may not reach it
+    let offset = 0;
+    while (offset + 8 <= view.byteLength) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1 && offset + 16 <= view.byteLength) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = view.byteLength - offset;
+        }
+        if (size < header) break;
+        if (readAscii(view, offset + 4, 4) === 'moov') {
+            if (offset + size > view.byteLength) {
+                return { moov: null, complete: false, length: offset + size, next: offset };
+            }
+            return { moov: { start: offset + header, end: offset + size }, complete: true };
+        }
+        offset += size;
+    }
+    // Walking off the end of the buffer means the rest of the file was not read yet
+    const truncated = offset > view.byteLength || (offset < view.byteLength && offset + 8 > view.byteLength);
+    if (!truncated) return { moov: null, complete: true };
+    return { moov: null, complete: false, length: Infinity, next: offset };
+}
+
+const CODEC_NAMES = {
+    avc1: 'H.264', avc3: 'H.264', hvc1: 'HEVC', hev1: 'HEVC', av01: 'AV1', vp08: 'VP8', vp09: 'VP9',
+    mp4v: 'MPEG-4 Visual', apcn: 'ProRes', apch: 'ProRes', apcs: 'ProRes', apco: 'ProRes', ap4h: 'ProRes',
+    mp4a: 'AAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', alac: 'ALAC', Opus: 'Opus', fLaC: 'FLAC', '.mp3': 'MP3',
+    lpcm: 'PCM', sowt: 'PCM', twos: 'PCM',
+    V_VP8: 'VP8', V_VP9: 'VP9', V_AV1: 'AV1', 'V_MPEG4/ISO/AVC': 'H.264', V_MPEGH: 'HEVC',
+    A_OPUS: 'Opus', A_VORBIS: 'Vorbis', A_AAC: 'AAC', A_FLAC: 'FLAC', A_AC3: 'AC-3', A_MPEG: 'MP3', A_PCM: 'PCM'
+};
+
+function readMediaInfo(buffer, previous = null) {
+    const view = new DataView(buffer);
+    // "previous" is an MPEG-4 head whose boxes continue at the start of this buffer
+    const info = previous ? { ...previous, complete: true, codecs: [...previous.codecs] } :
+        { complete: true, container: null, codecs: [], audio: null };
+    const addCodec = (code) => {
+        const name = CODEC_NAMES[code] || code;
+        if (!info.codecs.includes(name)) info.codecs.push(name);
+    };
+
+    try {
+        if (previous || (view.byteLength >= 12 && readAscii(view, 4, 4) === 'ftyp')) {
+            if (!previous) info.container = readAscii(view, 8, 4) === 'qt  ' ? 'QuickTime' : 'MPEG-4';
+            const { moov, complete, length, next } = findMoovBox(view);
+            if (!complete) return { ...info, complete, length, next };
+            if (moov) readMp4Tracks(view, moov, info, addCodec);
+        } else if (view.byteLength >= 4 && view.getUint32(0) === 0x1A45DFA3) {
+            const head = readAscii(view, 0, Math.min(view.byteLength, 64 * 1024));
+            info.container = head.includes('webm') ? 'WebM' : 'Matroska';
+            // Codec IDs are plain strings in the Tracks element near the start
+            for (const match of head.matchAll(/[VA]_[A-Z0-9]+(?:\/[A-Z0-9/]+)?/g)) {
+                const code = Object.keys(CODEC_NAMES).find(name => match[0].startsWith(name));
+                if (code) addCodec(code);
+            }
+        } else if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WAVE') {
+            info.container = 'WAV';
+            const fmt = findRiffChunk(view, 'fmt ');
+            if (fmt && fmt.start + 16 <= view.byteLength) {
+                const format = view.getUint16(fmt.start, true);
+                addCodec(format === 3 ? 'PCM (float)' : format === 1 ? 'PCM' : `format 0x${format.toString(16)}`);
+                info.audio = describeAudioFormat(view.getUint32(fmt.start + 4, true), view.getUint16(fmt.start + 2, true), view.getUint16(fmt.start + 14, true));
+            }
+        } else if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'AVI ') {
+            info.container = 'AVI';
+        } else if (view.byteLength >= 4 && readAscii(view, 0, 4) === 'fLaC') {
+            info.container = 'FLAC';
+            addCodec('fLaC');
+            if (view.byteLength >= 26) {
+                // STREAMINFO packs the sample rate, channels and bit depth into 64 bits
+                const packed = view.getUint32(18);
+                info.audio = describeAudioFormat(packed >>> 12, ((packed >>> 9) & 0x7) + 1, ((packed >>> 4) & 0x1F) + 1);
+            }
+        } else if (view.byteLength >= 4 && readAscii(view, 0, 4) === 'OggS') {
+            info.container = 'Ogg';
+            const head = readAscii(view, 0, Math.min(view.byteLength, 4096));
+            if (head.includes('OpusHead')) addCodec('Opus');
+            if (head.includes('\x01vorbis')) addCodec('Vorbis');
+            if (head.includes('\x7FFLAC')) addCodec('FLAC');
+            if (head.includes('\x80theora')) addCodec('Theora');
+        } else if (view.byteLength >= 3 && readAscii(view, 0, 3) === 'ID3') {
+            info.container = 'MPEG audio';
+            addCodec('.mp3');
+        } else if (view.byteLength >= 2 && (view.getUint16(0) & 0xFFF6) === 0xFFF0) {
+            // Frame sync with layer 0 is an ADTS stream rather than MP3
+            info.container = 'ADTS';
+            addCodec('mp4a');
+        } else if (view.byteLength >= 2 && (view.getUint16(0) & 0xFFE0) === 0xFFE0) {
+            info.container = 'MPEG audio';
+            addCodec('.mp3');
+        }
+    } catch (error) {
+        // A damaged header only costs the codec hints
+    }
+    return info;
+}
+
+function readMp4Tracks(view, moov, info, addCodec) {
+    let offset = moov.start;
+    let trak;
+    while ((trak = findBox(view, offset, moov.end, 'trak'))) {
+        offset = trak.end;
+        const mdia = findBox(view, trak.start, trak.end, 'mdia');
+        const minf = mdia && findBox(view, mdia.start, mdia.end, 'minf');
+        const stbl = minf && findBox(view, minf.start, minf.end, 'stbl');
+        const stsd = stbl && findBox(view, stbl.start, stbl.end, 'stsd');
+        // stsd is a full box with an entry count, the first sample entry names the codec
+        if (!stsd || stsd.start + 16 > stsd.end) continue;
+        const entry = stsd.start + 8;
+        const code = readAscii(view, entry + 4, 4);
+        const hdlr = findBox(view, mdia.start, mdia.end, 'hdlr');
+        const handler = hdlr ? readAscii(view, hdlr.start + 8, 4) : null;
+        if (handler !== 'vide' && handler !== 'soun') continue;
+        addCodec(code);
+        if (handler === 'soun' && !info.audio && entry + 36 <= stsd.end) {
+            // Lossy codecs report a nominal 16-bit sample size that means nothing
+            const lossless = ['lpcm', 'sowt', 'twos', 'alac', 'fLaC'].includes(code);
+            info.audio = describeAudioFormat(view.getUint32(entry + 32) >>> 16, view.getUint16(entry + 24), lossless ? view.getUint16(entry + 26) : 0);
+        }
+    }
+}
+
+function findRiffChunk(view, type) {
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset + 4, true);
+        if (readAscii(view, offset, 4) === type) return { start: offset + 8, end: offset + 8 + length };
+        offset += 8 + length + (length % 2);
+    }
+    return null;
+}
+
+function describeAudioFormat(sampleRate, channels, bits) {
+    const parts = [];
+    if (sampleRate) parts.push(`${+(sampleRate / 1000).toFixed(1)} kHz`);
+    if (bits) parts.push(`${bits}-bit`);
+    if (channels) parts.push(channels === 1 ? 'mono' : channels === 2 ? 'stereo' : `${channels} channels`);
+    return parts.join(' · ') || null;
+}
+
+function getYearsAgo(time, referenceDate, windowDays) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    const referenceYear = referenceDate.getFullYear();
+
+    // Neighbouring years cover windows that cross New Year
+    for (const year of [date.getFullYear() - 1, date.getFullYear(), date.getFullYear() + 1]) {
+        if (year >= referenceYear) continue;
+        const anniversary = new Date(year, referenceDate.getMonth(), referenceDate.getDate());
+        const days = Math.round(Math.abs(date - anniversary) / 86400000);
+        if (days <= windowDays) return referenceYear - year;
+    }
+    return null;
+}
+
+function getImageThumbnailSize(pixels) {
+    return IMAGE_THUMBNAIL_SIZES.find(size => size >= pixels) || IMAGE_THUMBNAIL_SIZES[IMAGE_THUMBNAIL_SIZES.length - 1];
+}
+
+function getThumbnailScale(width, height, size) {
+    // Tiles crop to cover, so the short edge decides; the cap keeps panoramas reasonable
+    return Math.min(1, size / Math.min(width, height), size * 4 / Math.max(width, height));
+}
+
+async function renderImageThumbnail(buffer, size) {
+    // createImageBitmap decodes off the main thread and applies the EXIF orientation
+    const bitmap = await createImageBitmap(new Blob([buffer]));
+    try {
+        const scale = getThumbnailScale(bitmap.width, bitmap.height, size);
+        if (scale === 1) return null;
+        
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+        const canvas = typeof OffscreenCanvas !== 'undefined' ?
+            new OffscreenCanvas(width, height) :
+            Object.assign(document.createElement('canvas'), { width, height });
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+        return await canvasToThumbnailBlob(canvas);
+    } finally {
+        bitmap.close();
+    }
+}
+
+async function captureVideoThumbnail(resourcePath, size, poster, signal) {
+    return withVideo(resourcePath, signal, async (video) => {
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        
+        let best = null;
+        for (const time of getPosterCandidates(duration, poster)) {
+            await seekVideo(video, time, signal);
+            // A poster that was asked for is used as is, only the automatic pick avoids dark frames
+            const luma = poster ? Infinity : measureFrameLuma(video);
+            if (!best || luma > best.luma) best = { time, luma };
+            if (luma >= BLACK_FRAME_LUMA) break;
+        }
+        if (video.currentTime !== best.time) {
+            await seekVideo(video, best.time, signal);
+        }
+        
+        const scale = Math.min(1, size / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(video.videoWidth * scale));
+        canvas.height = Math.max(1, Math.round(video.videoHeight * scale));
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvasToThumbnailBlob(canvas);
+    });
+}
+
+async function captureVideoSprite(resourcePath, frames, size, signal) {
+    return withVideo(resourcePath, signal, async (video) => {
+        const duration = Number.isFinite(video.duration) ? video.duration : 0;
+        if (duration <= 0) return null;
+        
+        const scale = Math.min(1, size / Math.max(video.videoWidth, video.videoHeight));
+        const frameWidth = Math.max(1, Math.round(video.videoWidth * scale));
+        const frameHeight = Math.max(1, Math.round(video.videoHeight * scale));
+        const canvas = document.createElement('canvas');
+        canvas.width = frameWidth * frames;
+        canvas.height = frameHeight;
+        const context = canvas.getContext('2d');
+        
+        // Frames side by side, each from the middle of its slice of the video
+        for (let i = 0; i < frames; i++) {
+            await seekVideo(video, (i + 0.5) / frames * duration, signal);
+            context.drawImage(video, i * frameWidth, 0, frameWidth, frameHeight);
+        }
+        return canvasToThumbnailBlob(canvas);
+    });
+}
+
+function getPosterCandidates(duration, poster) {
+    const last = Math.max(0, duration - 0.1);
+    const clamp = (time) => Math.round(Math.min(last, Math.max(0, time)) * 10) / 10;
+    
+    if (poster) {
+        return [clamp(poster.kind === 'percent' ? duration * poster.value : poster.value)];
+    }
+    
+    // One second in skips most fades from black, short clips use their middle
+    const first = Math.min(1, duration / 2);
+    const times = [first, first + 2, duration * 0.1, duration * 0.25, duration * 0.5].map(clamp);
+    return [...new Set(times)];
+}
+
+function measureFrameLuma(video) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 16;
+    canvas.height = 16;
+    const context = canvas.getContext('2d');
+    context.drawImage(video, 0, 0, 16, 16);
+    
+    try {
+        const { data } = context.getImageData(0, 0, 16, 16);
+        let total = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            total += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+        }
+        return total / (data.length / 4);
+    } catch (error) {
+        // A canvas we may not read from cannot be judged, so take the frame
+        return Infinity;
+    }
+}
+
+async function withVideo(resourcePath, signal, callback) {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.muted = true;
+    video.preload = 'auto';
+    
+    try {
+        await waitForVideoEvent(video, 'loadeddata', signal, () => { video.src = resourcePath; });
+        return await callback(video);
+    } finally {
+        // Dropping the source releases the decoder right away instead of at garbage collection
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+function seekVideo(video, time, signal) {
+    if (Math.abs(video.currentTime - time) < 0.01 && video.readyState >= 2) {
+        return Promise.resolve();
+    }
+    return waitForVideoEvent(video, 'seeked', signal, () => { video.currentTime = time; });
+}
+
+function waitForVideoEvent(video, type, signal, start) {
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            clearTimeout(timeout);
+            video.removeEventListener(type, onEvent);
+            video.removeEventListener('error', onError);
+            signal.removeEventListener('abort', onAbort);
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+        const onEvent = () => finish();
+        const onError = () => finish(new Error('Video could not be decoded'));
+        const onAbort = () => finish(new DOMException('Thumbnail job cancelled', 'AbortError'));
+        const timeout = setTimeout(() => finish(new Error('Video timed out')), THUMBNAIL_JOB_TIMEOUT);
+        
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        video.addEventListener(type, onEvent);
+        video.addEventListener('error', onError);
+        signal.addEventListener('abort', onAbort);
+        start();
+    });
+}
+
+function formatPlaybackTime(seconds) {
+    const total = Number.isFinite(seconds) ? Math.floor(seconds) : 0;
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+const WAVEFORM_BARS = 64;
+
+async function renderWaveformImage(buffer, signal) {
+    // A low sample rate is plenty for peaks and keeps a decoded song to a few megabytes
+    const context = new OfflineAudioContext(1, 1, 8000);
+    const audio = await context.decodeAudioData(buffer);
+    if (signal.aborted) throw new DOMException('Thumbnail job cancelled', 'AbortError');
+    
+    const samples = audio.getChannelData(0);
+    const bucket = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+        let peak = 0;
+        const end = Math.min(samples.length, (bar + 1) * bucket);
+        for (let i = bar * bucket; i < end; i++) {
+            const value = Math.abs(samples[i]);
+            if (value > peak) peak = value;
+        }
+        peaks.push(peak);
+    }
+    const loudest = Math.max(...peaks);
+    if (!(loudest > 0)) return null;
+    
+    // White on transparent: the page tints it through a CSS mask, so it follows the theme
+    const canvas = document.createElement('canvas');
+    canvas.width = 480;
+    canvas.height = 160;
+    const context2d = canvas.getContext('2d');
+    context2d.fillStyle = '#fff';
+    const step = canvas.width / WAVEFORM_BARS;
+    peaks.forEach((peak, bar) => {
+        const height = Math.max(4, peak / loudest * canvas.height);
+        context2d.fillRect(bar * step + step * 0.2, (canvas.height - height) / 2, step * 0.6, height);
+    });
+    return canvasToThumbnailBlob(canvas, 'image/png');
+}
+
+function createAudioArtwork(artwork, className) {
+    if (artwork.cover) {
+        const img = document.createElement('img');
+        img.className = `${className} is-cover`;
+        img.src = artwork.cover;
+        img.alt = artwork.album || artwork.title || '';
+        return img;
+    }
+    if (artwork.waveform) {
+        const waveform = document.createElement('div');
+        waveform.className = `${className} is-waveform`;
+        waveform.style.setProperty('--memories-waveform', `url("${artwork.waveform}")`);
+        return waveform;
+    }
+    return null;
+}
+
+async function canvasToThumbnailBlob(canvas, fallbackType = 'image/jpeg') {
+    // Browsers without a WebP encoder hand back PNG, which is far too large for a photo thumbnail
+    if (typeof canvas.convertToBlob === 'function') {
+        const blob = await canvas.convertToBlob({ type: 'image/webp', quality: 0.8 });
+        return blob.type === 'image/webp' ? blob : canvas.convertToBlob({ type: fallbackType, quality: 0.8 });
+    }
+    
+    return new Promise(resolve => {
+        canvas.toBlob(blob => {
+            if (blob && blob.type === 'image/webp') {
+                resolve(blob);
+            } else {
+                canvas.toBlob(resolve, fallbackType, 0.8);
             }
-            
-            loadingIndicator.remove();
-            await this.refreshGallery(galleryContainer, config);
-            
-        } catch (error) {
-            loadingIndicator.remove();
-            console.error('Upload error:', error);
-            new Notice('Error uploading files: ' + error.message);
+        }, 'image/webp', 0.8);
+    });
+}
+
+const ZIP_MAX_ENTRIES = 0xFFFF;
+// The archive is held in memory until the download starts
+const ZIP_EXPORT_MAX_BYTES = 256 * 1024 * 1024;
+// Checksums are computed in slices with a pause in between, so large videos do not freeze the app
+const CRC_CHUNK_SIZE = 4 * 1024 * 1024;
+
+let crcTable = null;
+
+async function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
         }
     }
-
-    async saveFileToVault(file, targetPath) {
-        const arrayBuffer = await file.arrayBuffer();
-        const fileName = this.getUniqueFileName(targetPath, file.name);
-        const fullPath = `${targetPath}/${fileName}`;
-        
-        await this.app.vault.createBinary(fullPath, arrayBuffer);
+    
+    let crc = 0xFFFFFFFF;
+    for (let start = 0; start < bytes.length; start += CRC_CHUNK_SIZE) {
+        const end = Math.min(start + CRC_CHUNK_SIZE, bytes.length);
+        for (let i = start; i < end; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        if (end < bytes.length) await new Promise(resolve => setTimeout(resolve, 0));
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    getUniqueFileName(folderPath, fileName) {
-        const fileExtension = fileName.split('.').pop();
-        const baseName = fileName.substring(0, fileName.length - fileExtension.length - 1);
+// Stored, not deflated: photos and videos are compressed already and would only cost time.
+// Entries are read one at a time with a pause in between, so the app stays responsive while packing,
+// and each goes into its own blob right away so the read buffer can be freed before the next one
+async function createZipArchive(entries) {
+    if (entries.length > ZIP_MAX_ENTRIES) {
+        throw new Error(`A zip archive holds at most ${ZIP_MAX_ENTRIES} files`);
+    }
+    
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = new Uint8Array(await entry.read());
+        const crc = await crc32(data);
+        const date = new Date(entry.time);
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        if (offset + 30 + name.length + data.length > 0xFFFFFFFF) {
+            throw new Error('Selection is too large for a zip archive');
+        }
         
-        let newName = fileName;
-        let counter = 1;
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        parts.push(new Blob([header, name, data]));
         
-        while (this.app.vault.getAbstractFileByPath(`${folderPath}/${newName}`)) {
-            newName = `${baseName}_${counter}.${fileExtension}`;
-            counter++;
-        }
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(12, dosTime, true);
+        record.setUint16(14, dosDate, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, data.length, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true);
+        directory.push(record, name);
         
-        return newName;
+        offset += 30 + name.length + data.length;
+        await new Promise(resolve => setTimeout(resolve, 0));
     }
+    
+    const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
 
-    async refreshGallery(container, config) {
-        const parentEl = container.parentElement;
-        const ctx = parentEl.ctx;
-        
-        parentEl.empty();
-        await this.createGallery(parentEl, config, ctx);
+function hashString(text) {
+    // FNV-1a, good enough to give every file a stable pseudo-random position
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x2c1b3c6d);
+    hash ^= hash >>> 12;
+    return hash >>> 0;
+}
 
-    onunload() {
-        const lightbox = document.getElementById('memories-lightbox-overlay');
-        if (lightbox) lightbox.remove();
-        
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
+function closestMatch(word, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(word.toLowerCase(), candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(word.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = a[i - 1] === b[j - 1] ?
+                previous :
+                1 + Math.min(previous, row[j], row[j - 1]);
+            previous = current;
         }
-        
-        this.workerPool.forEach(workerInfo => {
-            workerInfo.worker.terminate();
-        });
-        this.workerPool = [];
-        
-        this.thumbnailCache.clear();
-        this.pendingRequests.clear();
     }
+    return row[b.length];
 }
 
-function deleteCurrentFile(state) {
+async function deleteCurrentFile(state) {
     const currentFile = state.mediaFiles[state.currentIndex];
-    if (!currentFile) return;
+    if (!currentFile || state.deleting) return;
     
-    if (confirm(`Are you sure you want to delete "${currentFile.name}"?`)) {
-        try {
-            state.app.fileManager.trashFile(currentFile);
-            
-            state.mediaFiles.splice(state.currentIndex, 1);
-            
-            if (state.mediaFiles.length === 0) {
-                closeLightbox(state);
-                new Notice('File deleted. Gallery is now empty.');
-            } else {
-                state.currentIndex = Math.min(state.currentIndex, state.mediaFiles.length - 1);
-                updateMedia(state, state.fileLink, state.fileMeta);
-                updateThumbnails(state);
-                new Notice('File deleted successfully.');
-            }
-            
-            if (state.galleryContainer && state.onFileDeleted) {
-                setTimeout(() => {
-                    state.onFileDeleted();
-                }, 100);
-            }
-            
-        } catch (error) {
-            console.error('Error deleting file:', error);
-            new Notice('Error deleting file: ' + error.message);
+    state.deleting = true;
+    try {
+        // Reports its own errors and offers undo; nothing comes back when cancelled or failed
+        const trashed = await state.services.trash([currentFile]);
+        const index = state.mediaFiles.indexOf(currentFile);
+        if (trashed.length === 0 || index === -1) return;
+        
+        state.mediaFiles.splice(index, 1);
+        if (state.mediaFiles.length === 0) {
+            closeLightbox(state);
+            return;
         }
+        
+        if (index < state.currentIndex) state.currentIndex--;
+        state.currentIndex = Math.min(state.currentIndex, state.mediaFiles.length - 1);
+        updateMedia(state, state.fileLink, state.fileMeta);
+        updateThumbnails(state);
+        
+        if (state.galleryContainer && state.onFileDeleted) {
+            setTimeout(() => {
+                state.onFileDeleted();
+            }, 100);
+        }
+    } finally {
+        state.deleting = false;
     }
 }
 
@@ -1057,43 +5221,59 @@ function updateThumbnails(state) {
     thumbContainer.empty();
     
     for (let i = 0; i < state.mediaFiles.length; i++) {
-        const file = state.mediaFiles[i];
-        const thumb = document.createElement('div');
-        thumb.className = 'memories-lightbox-thumb';
-        thumb.dataset.index = i;
-        
-        const resourcePath = state.app.vault.getResourcePath(file);
-        
-        if (isImage(file.name)) {
-            const img = document.createElement('img');
-            img.src = resourcePath;
-            img.alt = file.name;
-            thumb.appendChild(img);
-        } else if (isVideo(file.name)) {
-            const video = document.createElement('video');
-            video.src = resourcePath;
-            video.muted = true;
-            video.currentTime = 1;
-            thumb.appendChild(video);
-        } else if (isAudio(file.name)) {
-            const audioThumb = document.createElement('div');
-            audioThumb.className = 'memories-audio-thumb';
-            audioThumb.textContent = '🎵';
-            thumb.appendChild(audioThumb);
-        }
-        
-        thumb.addEventListener('click', () => {
-            state.currentIndex = i;
-            state.randomMode = false;
-            updateRandomButton(state, state.randomBtn);
-            updateMedia(state, state.fileLink, state.fileMeta);
-        });
-        
-        thumbContainer.appendChild(thumb);
+        thumbContainer.appendChild(createThumbnail(state, state.mediaFiles[i], i));
+    }
+}
+
+function createThumbnail(state, file, index) {
+    const thumb = document.createElement('div');
+    thumb.className = 'memories-lightbox-thumb';
+    thumb.dataset.index = index;
+    
+    const resourcePath = state.app.vault.getResourcePath(file);
+    
+    if (isImage(file.name)) {
+        // The source is filled in once the thumb scrolls into view, see loadStripThumbnail
+        const img = document.createElement('img');
+        img.alt = file.name;
+        thumb.appendChild(img);
+        state.thumbObserver.observe(img);
+    } else if (isVideo(file.name)) {
+        const video = document.createElement('video');
+        video.src = resourcePath;
+        video.muted = true;
+        video.currentTime = 1;
+        thumb.appendChild(video);
+    } else if (isAudio(file.name)) {
+        const audioThumb = document.createElement('div');
+        audioThumb.className = 'memories-audio-thumb';
+        audioThumb.textContent = '🎵';
+        thumb.appendChild(audioThumb);
+    }
+    
+    thumb.addEventListener('click', () => {
+        state.currentIndex = index;
+        state.randomMode = false;
+        updateRandomButton(state, state.randomBtn);
+        updateMedia(state, state.fileLink, state.fileMeta);
+    });
+    
+    return thumb;
+}
+
+async function loadStripThumbnail(state, img) {
+    const file = state.mediaFiles[img.parentElement.dataset.index];
+    if (!file) return;
+    
+    try {
+        const src = state.services ? await state.services.image(file, state.thumbController.signal) : null;
+        img.src = src || state.app.vault.getResourcePath(file);
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
     }
 }
 
-function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryContainer) {
+function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryContainer, services) {
     const existing = document.getElementById('memories-lightbox-overlay');
     if (existing) existing.remove();
 
@@ -1106,6 +5286,10 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
         slideshowActive: false,
         onFileDeleted: onFileDeleted,
         galleryContainer: galleryContainer,
+        services: services,
+        thumbController: new AbortController(),
+        infoPanelOpen: false,
+        editor: null,
         scope: new Scope()
     };
 
@@ -1148,6 +5332,30 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
     const rightControls = document.createElement('div');
     rightControls.className = 'memories-lightbox-controls-right';
 
+    const infoBtn = document.createElement('button');
+    infoBtn.className = 'memories-lightbox-info-btn';
+    infoBtn.textContent = 'ℹ️ Info';
+    infoBtn.title = 'File details (I)';
+    infoBtn.addEventListener('click', () => toggleInfoPanel(state));
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'memories-lightbox-edit-btn';
+    editBtn.textContent = '✏️ Edit';
+    editBtn.title = 'Rotate, flip or crop';
+    editBtn.addEventListener('click', () => openImageEditor(state));
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'memories-lightbox-rename-btn';
+    renameBtn.textContent = '🏷️ Rename';
+    renameBtn.title = 'Rename (F2)';
+    renameBtn.addEventListener('click', () => renameCurrentFile(state));
+
+    const moveBtn = document.createElement('button');
+    moveBtn.className = 'memories-lightbox-move-btn';
+    moveBtn.textContent = '📂 Move';
+    moveBtn.title = 'Move to another folder (M)';
+    moveBtn.addEventListener('click', () => moveCurrentFile(state));
+
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'memories-lightbox-delete-btn';
     deleteBtn.textContent = '🗑️ Delete file';
@@ -1182,6 +5390,10 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
     closeBtn.addEventListener('click', () => closeLightbox(state));
 
     rightControls.appendChild(fileInfo);
+    rightControls.appendChild(infoBtn);
+    rightControls.appendChild(editBtn);
+    rightControls.appendChild(renameBtn);
+    rightControls.appendChild(moveBtn);
     rightControls.appendChild(deleteBtn);
     infoDiv.appendChild(closeBtn);
     rightControls.appendChild(infoDiv);
@@ -1210,48 +5422,28 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
     nextBtn.appendChild(nextArrow);
     nextBtn.addEventListener('click', () => navigate(state, 1));
 
+    const infoPanel = document.createElement('div');
+    infoPanel.className = 'memories-lightbox-info-panel';
+
     mainArea.appendChild(prevBtn);
     mainArea.appendChild(mediaContainer);
     mainArea.appendChild(nextBtn);
+    mainArea.appendChild(infoPanel);
 
     const thumbContainer = document.createElement('div');
     thumbContainer.className = 'memories-lightbox-thumbnails';
     thumbContainer.id = 'memories-lightbox-thumbnails';
 
-    for (let i = 0; i < mediaFiles.length; i++) {
-        const file = mediaFiles[i];
-        const thumb = document.createElement('div');
-        thumb.className = 'memories-lightbox-thumb';
-        thumb.dataset.index = i;
-
-        const resourcePath = app.vault.getResourcePath(file);
-
-        if (isImage(file.name)) {
-            const img = document.createElement('img');
-            img.src = resourcePath;
-            img.alt = file.name;
-            thumb.appendChild(img);
-        } else if (isVideo(file.name)) {
-            const video = document.createElement('video');
-            video.src = resourcePath;
-            video.muted = true;
-            video.currentTime = 1;
-            thumb.appendChild(video);
-        } else if (isAudio(file.name)) {
-            const audioThumb = document.createElement('div');
-            audioThumb.className = 'memories-audio-thumb';
-            audioThumb.textContent = '🎵';
-            thumb.appendChild(audioThumb);
-        }
-
-        thumb.addEventListener('click', () => {
-            state.currentIndex = i;
-            state.randomMode = false;
-            updateRandomButton(state, randomBtn);
-            updateMedia(state, fileLink, fileMeta);
+    state.thumbObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            state.thumbObserver.unobserve(entry.target);
+            loadStripThumbnail(state, entry.target).catch(console.error);
         });
+    }, { root: thumbContainer, rootMargin: '0px 300px' });
 
-        thumbContainer.appendChild(thumb);
+    for (let i = 0; i < mediaFiles.length; i++) {
+        thumbContainer.appendChild(createThumbnail(state, mediaFiles[i], i));
     }
 
     let isDragging = false;
@@ -1311,16 +5503,32 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
     state.fileLink = fileLink;
     state.fileMeta = fileMeta;
     state.intervalInput = intervalInput;
+    state.infoBtn = infoBtn;
+    state.editBtn = editBtn;
+    state.infoPanel = infoPanel;
+    state.mainArea = mainArea;
 
     updateMedia(state, fileLink, fileMeta);
 
-    state.scope.register([], 'ArrowLeft', () => { navigate(state, -1); return false; });
-    state.scope.register([], 'ArrowRight', () => { navigate(state, 1); return false; });
-    state.scope.register([], 'Escape', () => { closeLightbox(state); return false; });
-    state.scope.register([], 'Space', () => { toggleSlideshow(state, slideshowBtn, intervalInput); return false; });
+    registerLightboxKey(state, 'ArrowLeft', () => navigate(state, -1));
+    registerLightboxKey(state, 'ArrowRight', () => navigate(state, 1));
+    state.scope.register([], 'Escape', () => {
+        if (state.editor) {
+            closeImageEditor(state);
+        } else {
+            closeLightbox(state);
+        }
+        return false;
+    });
+    registerLightboxKey(state, 'Space', () => toggleSlideshow(state, slideshowBtn, intervalInput));
+    registerLightboxKey(state, 'I', () => toggleInfoPanel(state));
+    registerLightboxKey(state, 'F2', () => renameCurrentFile(state));
+    registerLightboxKey(state, 'M', () => moveCurrentFile(state));
+    registerLightboxKey(state, 'Delete', () => deleteCurrentFile(state).catch(console.error));
+    app.keymap.pushScope(state.scope);
 
     const wheelHandler = (e) => {
-        if (document.querySelector('img:hover, video:hover')) return;
+        if (state.editor || document.querySelector('img:hover, video:hover')) return;
         e.preventDefault();
         if (e.deltaY > 0) {
             navigate(state, 1);
@@ -1333,7 +5541,10 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
 
     overlay.dataset.cleanup = 'true';
     overlay.addEventListener('cleanup', () => {
-        state.scope.unregister();
+        if (state.editor) closeImageEditor(state, false);
+        app.keymap.popScope(state.scope);
+        state.thumbObserver.disconnect();
+        state.thumbController.abort();
         mainArea.removeEventListener('wheel', wheelHandler);
         if (state.slideshowInterval) {
             clearInterval(state.slideshowInterval);
@@ -1341,12 +5552,491 @@ function openMediaLightbox(app, mediaFiles, startIndex, onFileDeleted, galleryCo
     });
 }
 
+async function loadLightboxAudioArtwork(state, file, audioIcon, fileName) {
+    const artwork = await state.services.audio(file, state.thumbController.signal);
+    // The user may have moved on while the tags were read
+    if (!audioIcon.isConnected) return;
+    
+    const artworkEl = createAudioArtwork(artwork, 'memories-lightbox-audio-artwork');
+    if (artworkEl) audioIcon.replaceWith(artworkEl);
+    
+    fileName.textContent = artwork.title || file.name;
+    const details = [artwork.artist, artwork.album].filter(Boolean).join(' · ');
+    if (details) {
+        const detailsEl = document.createElement('div');
+        detailsEl.className = 'memories-lightbox-audio-details';
+        detailsEl.textContent = details;
+        fileName.after(detailsEl);
+    }
+}
+
+function toggleInfoPanel(state) {
+    state.infoPanelOpen = !state.infoPanelOpen;
+    state.infoBtn.classList.toggle('active', state.infoPanelOpen);
+    state.mainArea.classList.toggle('has-info-panel', state.infoPanelOpen);
+    if (state.infoPanelOpen) {
+        updateInfoPanel(state).catch(error => console.warn('Could not read file details:', error));
+    }
+}
+
+async function updateInfoPanel(state) {
+    if (!state.infoPanelOpen) return;
+    const file = state.mediaFiles[state.currentIndex];
+    const token = state.infoToken = {};
+    const panel = state.infoPanel;
+    panel.empty();
+    
+    const heading = document.createElement('div');
+    heading.className = 'memories-lightbox-info-heading';
+    heading.textContent = file.name;
+    panel.appendChild(heading);
+    
+    const list = document.createElement('div');
+    list.className = 'memories-lightbox-info-list';
+    panel.appendChild(list);
+    addInfoRow(list, 'Folder', file.parent && file.parent.path !== '/' ? file.parent.path : '/');
+    addInfoRow(list, 'Modified', new Date(file.stat.mtime).toLocaleString());
+    if (!state.services) return;
+    
+    let rows;
+    if (isImage(file.name)) {
+        rows = describeImageMetadata(await state.services.metadata(file));
+    } else {
+        // Duration and resolution come from the player itself, codecs from the file header
+        const element = document.querySelector('#memories-lightbox-media-container video, #memories-lightbox-media-container audio');
+        const [info] = await Promise.all([
+            state.services.mediaInfo(file),
+            element && element.readyState < 1 ?
+                waitForVideoEvent(element, 'loadedmetadata', state.thumbController.signal, () => {}).catch(() => {}) :
+                null
+        ]);
+        rows = describeMediaInfo(info, element);
+    }
+    
+    // Another file may be on screen by now
+    if (state.infoToken !== token) return;
+    for (const [label, value] of rows) {
+        addInfoRow(list, label, value);
+    }
+    if (rows.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'memories-lightbox-info-empty';
+        empty.textContent = 'No embedded metadata';
+        panel.appendChild(empty);
+    }
+}
+
+function addInfoRow(list, label, value) {
+    const row = document.createElement('div');
+    row.className = 'memories-lightbox-info-row';
+    const labelEl = document.createElement('div');
+    labelEl.className = 'memories-lightbox-info-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('div');
+    valueEl.className = 'memories-lightbox-info-value';
+    if (typeof value === 'string') {
+        valueEl.textContent = value;
+    } else {
+        valueEl.appendChild(value);
+    }
+    row.appendChild(labelEl);
+    row.appendChild(valueEl);
+    list.appendChild(row);
+}
+
+function describeImageMetadata(metadata) {
+    if (!metadata) return [];
+    const tags = metadata.tags || {};
+    const rows = [];
+    
+    if (metadata.width && metadata.height) {
+        const megapixels = metadata.width * metadata.height / 1e6;
+        rows.push(['Dimensions', `${metadata.width} × ${metadata.height} (${megapixels.toFixed(1)} MP)`]);
+    }
+    if (metadata.taken) {
+        rows.push(['Taken', metadata.taken.toLocaleString()]);
+    }
+    
+    const camera = joinMakeAndModel(tags.Make, tags.Model);
+    if (camera) rows.push(['Camera', camera]);
+    const lens = joinMakeAndModel(tags.LensMake, tags.LensModel);
+    if (lens) rows.push(['Lens', lens]);
+    
+    const exposure = [];
+    if (tags.ExposureTime > 0) {
+        exposure.push(tags.ExposureTime >= 1 ? `${+tags.ExposureTime.toFixed(1)} s` : `1/${Math.round(1 / tags.ExposureTime)} s`);
+    }
+    if (tags.FNumber > 0) exposure.push(`f/${+tags.FNumber.toFixed(1)}`);
+    const iso = Array.isArray(tags.ISO) ? tags.ISO[0] : tags.ISO;
+    if (iso) exposure.push(`ISO ${iso}`);
+    if (tags.ExposureBias) exposure.push(`${tags.ExposureBias > 0 ? '+' : ''}${+tags.ExposureBias.toFixed(1)} EV`);
+    if (exposure.length > 0) rows.push(['Exposure', exposure.join(' · ')]);
+    
+    if (tags.FocalLength > 0) {
+        const equivalent = tags.FocalLength35mm && Math.round(tags.FocalLength35mm) !== Math.round(tags.FocalLength) ?
+            ` (${tags.FocalLength35mm} mm equiv.)` : '';
+        rows.push(['Focal length', `${+tags.FocalLength.toFixed(1)} mm${equivalent}`]);
+    }
+    
+    const latitude = readGpsCoordinate(tags.GPSLatitude, tags.GPSLatitudeRef, 'S');
+    const longitude = readGpsCoordinate(tags.GPSLongitude, tags.GPSLongitudeRef, 'W');
+    if (latitude !== null && longitude !== null) {
+        const link = document.createElement('a');
+        link.className = 'memories-lightbox-info-map-link';
+        link.textContent = `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+        link.href = `https://www.openstreetmap.org/?mlat=${latitude.toFixed(6)}&mlon=${longitude.toFixed(6)}#map=15/${latitude.toFixed(6)}/${longitude.toFixed(6)}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        rows.push(['Location', link]);
+        if (typeof tags.GPSAltitude === 'number' && isFinite(tags.GPSAltitude)) {
+            const altitude = tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude;
+            rows.push(['Altitude', `${Math.round(altitude)} m`]);
+        }
+    }
+    return rows;
+}
+
+function joinMakeAndModel(make, model) {
+    if (!model) return make || null;
+    if (!make) return model;
+    // "Canon" + "Canon EOS R6", or "NIKON CORPORATION" + "NIKON Z 6"
+    const brand = make.split(' ')[0].toLowerCase();
+    return model.toLowerCase().startsWith(brand) ? model : `${make} ${model}`;
+}
+
+function readGpsCoordinate(parts, ref, negativeRef) {
+    if (!Array.isArray(parts) || parts.length < 3 || !parts.every(isFinite)) return null;
+    const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+    return ref === negativeRef ? -value : value;
+}
+
+function describeMediaInfo(info, element) {
+    const rows = [];
+    if (element && element.videoWidth && element.videoHeight) {
+        rows.push(['Resolution', `${element.videoWidth} × ${element.videoHeight}`]);
+    }
+    if (element && isFinite(element.duration) && element.duration > 0) {
+        rows.push(['Duration', formatPlaybackTime(element.duration)]);
+    }
+    if (!info) return rows;
+    if (info.container) rows.push(['Format', info.container]);
+    if (info.codecs.length > 0) rows.push(['Codecs', info.codecs.join(', ')]);
+    if (info.audio) rows.push(['Audio', info.audio]);
+    return rows;
+}
+
 function updateFileMeta(fileMeta, file) {
     const fileSize = (file.stat.size / 1024).toFixed(1) + ' KB';
     const modDate = new Date(file.stat.mtime).toLocaleDateString();
     fileMeta.textContent = `${fileSize} • ${modDate}`;
 }
 
+async function openImageEditor(state) {
+    const file = state.mediaFiles[state.currentIndex];
+    const type = EDITABLE_IMAGE_TYPES[file.extension.toLowerCase()];
+    const container = document.getElementById('memories-lightbox-media-container');
+    if (state.editor || !type || !container) return;
+    
+    if (state.slideshowActive) toggleSlideshow(state, state.slideshowBtn, state.intervalInput);
+    
+    let bitmap;
+    try {
+        bitmap = await loadOrientedBitmap(await state.app.vault.readBinary(file), type);
+    } catch (error) {
+        console.error('Error opening image for editing:', error);
+        new Notice(`Could not open ${file.name} for editing: ${error.message}`);
+        return;
+    }
+    // The user may have moved on while the image was decoding
+    if (state.editor || state.mediaFiles[state.currentIndex] !== file || !container.isConnected) {
+        bitmap.close();
+        return;
+    }
+    
+    const editor = { file, type, bitmap, rotation: 0, flipX: false, flipY: false, crop: null, cropping: false, busy: false };
+    state.editor = editor;
+    state.editBtn.classList.add('active');
+    container.empty();
+    
+    editor.stage = document.createElement('div');
+    editor.stage.className = 'memories-lightbox-editor';
+    editor.canvas = document.createElement('canvas');
+    editor.cropBox = document.createElement('div');
+    editor.cropBox.className = 'memories-lightbox-editor-crop';
+    editor.stage.appendChild(editor.canvas);
+    editor.stage.appendChild(editor.cropBox);
+    container.appendChild(editor.stage);
+    
+    editor.toolbar = document.createElement('div');
+    editor.toolbar.className = 'memories-lightbox-editor-toolbar';
+    const addTool = (text, title, action) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', action);
+        editor.toolbar.appendChild(button);
+        return button;
+    };
+    const update = (change) => () => {
+        change();
+        renderEditorPreview(state, editor);
+    };
+    
+    addTool('⟲', 'Rotate left', update(() => rotateEdits(editor, -90)));
+    addTool('⟳', 'Rotate right', update(() => rotateEdits(editor, 90)));
+    addTool('⇆', 'Flip horizontally', update(() => flipEdits(editor, true)));
+    addTool('⇅', 'Flip vertically', update(() => flipEdits(editor, false)));
+    const cropBtn = addTool('✂️ Crop', 'Drag over the image to select the area to keep', () => {
+        editor.cropping = !editor.cropping;
+        cropBtn.classList.toggle('active', editor.cropping);
+        editor.stage.classList.toggle('is-cropping', editor.cropping);
+    });
+    addTool('↺ Reset', 'Undo all changes', update(() => {
+        Object.assign(editor, { rotation: 0, flipX: false, flipY: false, crop: null });
+    }));
+    editor.saveButtons = [
+        addTool('💾 Save copy', 'Save the result next to the original', () => saveImageEdits(state, false)),
+        addTool('Overwrite', 'Replace the original file', () => saveImageEdits(state, true))
+    ];
+    addTool('Cancel', 'Leave without saving (Esc)', () => closeImageEditor(state));
+    state.mainArea.appendChild(editor.toolbar);
+    
+    let start = null;
+    const pointAt = (e) => {
+        const rect = editor.canvas.getBoundingClientRect();
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) };
+    };
+    editor.canvas.addEventListener('pointerdown', (e) => {
+        if (!editor.cropping) return;
+        start = pointAt(e);
+        editor.canvas.setPointerCapture(e.pointerId);
+    });
+    editor.canvas.addEventListener('pointermove', (e) => {
+        if (!start) return;
+        const point = pointAt(e);
+        editor.crop = {
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            w: Math.abs(point.x - start.x),
+            h: Math.abs(point.y - start.y)
+        };
+        updateCropBox(editor);
+    });
+    editor.canvas.addEventListener('pointerup', () => {
+        if (!start) return;
+        start = null;
+        // A click without a drag clears the selection
+        if (editor.crop && (editor.crop.w < 0.01 || editor.crop.h < 0.01)) editor.crop = null;
+        updateCropBox(editor);
+    });
+    
+    renderEditorPreview(state, editor);
+}
+
+async function loadOrientedBitmap(buffer, type) {
+    const blob = new Blob([buffer], { type });
+    try {
+        // Phone photos are often stored sideways with an EXIF orientation, edits start from the upright image
+        return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch (error) {
+        // Older runtimes do not know the option, but apply the orientation by default
+        if (error.name !== 'TypeError') throw error;
+        return createImageBitmap(blob);
+    }
+}
+
+function getEditedSize(editor) {
+    const quarterTurn = editor.rotation % 180 !== 0;
+    return {
+        width: quarterTurn ? editor.bitmap.height : editor.bitmap.width,
+        height: quarterTurn ? editor.bitmap.width : editor.bitmap.height
+    };
+}
+
+function rotateEdits(editor, degrees) {
+    editor.rotation = (editor.rotation + degrees + 360) % 360;
+    if (editor.crop) {
+        const { x, y, w, h } = editor.crop;
+        editor.crop = degrees > 0 ? { x: 1 - y - h, y: x, w: h, h: w } : { x: y, y: 1 - x - w, w: h, h: w };
+    }
+}
+
+function flipEdits(editor, horizontal) {
+    // Flips follow the image as shown, which after a quarter turn is the other axis of the bitmap
+    if (horizontal === (editor.rotation % 180 === 0)) {
+        editor.flipX = !editor.flipX;
+    } else {
+        editor.flipY = !editor.flipY;
+    }
+    if (editor.crop) {
+        const crop = editor.crop;
+        editor.crop = horizontal ? { ...crop, x: 1 - crop.x - crop.w } : { ...crop, y: 1 - crop.y - crop.h };
+    }
+}
+
+function drawEditedImage(context, editor, scale) {
+    const { width, height } = getEditedSize(editor);
+    context.save();
+    context.translate(width * scale / 2, height * scale / 2);
+    context.rotate(editor.rotation * Math.PI / 180);
+    context.scale(editor.flipX ? -1 : 1, editor.flipY ? -1 : 1);
+    const drawWidth = editor.bitmap.width * scale;
+    const drawHeight = editor.bitmap.height * scale;
+    context.drawImage(editor.bitmap, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    context.restore();
+}
+
+function renderEditorPreview(state, editor) {
+    const { width, height } = getEditedSize(editor);
+    // Leave room for the navigation arrows and the toolbar
+    const maxWidth = Math.max(200, (state.mainArea.clientWidth || 1000) - 160);
+    const maxHeight = Math.max(200, (state.mainArea.clientHeight || 800) - 120);
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    
+    editor.canvas.width = Math.max(1, Math.round(width * scale));
+    editor.canvas.height = Math.max(1, Math.round(height * scale));
+    drawEditedImage(editor.canvas.getContext('2d'), editor, scale);
+    updateCropBox(editor);
+}
+
+function updateCropBox(editor) {
+    const crop = editor.crop;
+    editor.cropBox.style.display = crop ? '' : 'none';
+    if (!crop) return;
+    editor.cropBox.style.left = `${crop.x * 100}%`;
+    editor.cropBox.style.top = `${crop.y * 100}%`;
+    editor.cropBox.style.width = `${crop.w * 100}%`;
+    editor.cropBox.style.height = `${crop.h * 100}%`;
+}
+
+function exportEditedImage(editor) {
+    const { width, height } = getEditedSize(editor);
+    const crop = editor.crop || { x: 0, y: 0, w: 1, h: 1 };
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(crop.w * width));
+    canvas.height = Math.max(1, Math.round(crop.h * height));
+    
+    const context = canvas.getContext('2d');
+    context.translate(-Math.round(crop.x * width), -Math.round(crop.y * height));
+    drawEditedImage(context, editor, 1);
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            // Without an encoder for the type the canvas falls back to PNG, which must not land in a .jpg or .webp
+            if (blob && blob.type === editor.type) {
+                resolve(blob);
+            } else {
+                reject(new Error(`This device cannot write ${editor.type} images`));
+            }
+        }, editor.type, 0.92);
+    });
+}
+
+async function saveImageEdits(state, overwrite) {
+    const editor = state.editor;
+    if (!editor || editor.busy) return;
+    
+    const file = editor.file;
+    if (editor.rotation === 0 && !editor.flipX && !editor.flipY && !editor.crop) {
+        new Notice('No changes to save');
+        return;
+    }
+    
+    // Busy while the prompt is open too, so a second click cannot open another one
+    setEditorBusy(editor, true);
+    if (overwrite) {
+        const confirmed = await new Promise(resolve => new ConfirmModal(state.app, {
+            title: 'Overwrite image',
+            message: `Replace "${file.name}" with the edited image? The original cannot be restored.`,
+            confirmText: 'Overwrite'
+        }, resolve).open());
+        if (!confirmed || state.editor !== editor) {
+            setEditorBusy(editor, false);
+            return;
+        }
+    }
+    
+    try {
+        const blob = await exportEditedImage(editor);
+        const saved = await state.services.saveImage(file, blob, overwrite);
+        new Notice(overwrite ? `Saved ${file.name}` : `Saved a copy as ${saved.name}`);
+        if (state.editor === editor) closeImageEditor(state);
+        if (overwrite) reloadStripThumbnail(state, file);
+    } catch (error) {
+        console.error('Error saving edited image:', error);
+        new Notice('Error saving image: ' + error.message);
+        setEditorBusy(editor, false);
+    }
+}
+
+function setEditorBusy(editor, busy) {
+    editor.busy = busy;
+    editor.saveButtons.forEach(button => { button.disabled = busy; });
+}
+
+function closeImageEditor(state, rerender = true) {
+    const editor = state.editor;
+    if (!editor) return;
+    
+    state.editor = null;
+    editor.bitmap.close();
+    editor.toolbar.remove();
+    state.editBtn.classList.remove('active');
+    if (rerender) updateMedia(state, state.fileLink, state.fileMeta);
+}
+
+function reloadStripThumbnail(state, file) {
+    const index = state.mediaFiles.indexOf(file);
+    const img = document.querySelector(`.memories-lightbox-thumb[data-index="${index}"] img`);
+    if (img) loadStripThumbnail(state, img).catch(console.error);
+}
+
+function renameCurrentFile(state) {
+    const file = state.mediaFiles[state.currentIndex];
+    if (!file) return;
+    new RenameFileModal(state.app, file, (path) => moveLightboxFile(state, file, path)).open();
+}
+
+function moveCurrentFile(state) {
+    const file = state.mediaFiles[state.currentIndex];
+    if (!file) return;
+    new FolderSuggestModal(state.app, [file], (folder) => {
+        const path = normalizePath(`${folder.path}/${file.name}`);
+        if (state.app.vault.getAbstractFileByPath(path)) {
+            new Notice(`"${file.name}" already exists in ${folder.isRoot() ? 'the vault root' : folder.path}`);
+            return;
+        }
+        moveLightboxFile(state, file, path);
+    }).open();
+}
+
+async function moveLightboxFile(state, file, path) {
+    try {
+        // Through the file manager, so links and embeds in notes follow the file
+        await state.app.fileManager.renameFile(file, path);
+    } catch (error) {
+        console.error('Error renaming file:', error);
+        new Notice('Error renaming file: ' + error.message);
+        return;
+    }
+    
+    // The gallery picks the change up from the vault event; the lightbox keeps showing the file
+    if (state.mediaFiles[state.currentIndex] === file && state.fileLink) {
+        state.fileLink.textContent = file.name;
+        updateInfoPanel(state).catch(error => console.warn('Could not read file details:', error));
+    }
+}
+
+// The Scope also sees keys typed into the lightbox's own fields, like the slideshow interval
+function registerLightboxKey(state, key, action) {
+    state.scope.register([], key, (e) => {
+        if (e.target instanceof HTMLElement && e.target.matches('input, textarea')) return;
+        action();
+        return false;
+    });
+}
+
 function closeLightbox(state) {
     if (state && state.slideshowInterval) {
         clearInterval(state.slideshowInterval);
@@ -1367,23 +6057,32 @@ function closeLightbox(state) {
 
 function toggleSlideshow(state, slideshowBtn, intervalInput) {
     if (state.slideshowActive) {
-        clearInterval(state.slideshowInterval);
-        state.slideshowInterval = null;
-        state.slideshowActive = false;
+        stopSlideshow(state);
         slideshowBtn.textContent = '▶ Start slideshow';
         slideshowBtn.classList.remove('active');
         intervalInput.disabled = false;
     } else {
         const interval = parseInt(intervalInput.value) || 3;
-        state.slideshowActive = true;
         slideshowBtn.textContent = '⏸ Stop slideshow';
         slideshowBtn.classList.add('active');
         intervalInput.disabled = true;
 
-        state.slideshowInterval = window.setInterval(() => {
-            navigate(state, 1);
-        }, interval * 1000);
+        startSlideshow(state, interval, () => navigate(state, 1));
+    }
+}
+
+function startSlideshow(state, seconds, advance) {
+    stopSlideshow(state);
+    state.slideshowActive = true;
+    state.slideshowInterval = window.setInterval(advance, seconds * 1000);
+}
+
+function stopSlideshow(state) {
+    if (state.slideshowInterval) {
+        clearInterval(state.slideshowInterval);
     }
+    state.slideshowInterval = null;
+    state.slideshowActive = false;
 }
 
 function openFileInExplorer(app, state) {
@@ -1417,6 +6116,9 @@ function getRandomIndex(state) {
 }
 
 function navigate(state, direction) {
+    // Edits in progress are only dropped on purpose, not by a key press or the slideshow
+    if (state.editor) return;
+
     if (state.randomMode) {
         state.currentIndex = getRandomIndex(state);
     } else {
@@ -1430,9 +6132,13 @@ function updateMedia(state, fileLink, fileMeta) {
     const container = document.getElementById('memories-lightbox-media-container');
     if (!container) return;
 
+    if (state.editor) closeImageEditor(state, false);
     container.empty();
     const file = state.mediaFiles[state.currentIndex];
     const resourcePath = state.app.vault.getResourcePath(file);
+    if (state.editBtn) {
+        state.editBtn.style.display = EDITABLE_IMAGE_TYPES[file.extension.toLowerCase()] && state.services ? '' : 'none';
+    }
 
     if (fileLink) {
         fileLink.textContent = file.name;
@@ -1550,6 +6256,12 @@ function updateMedia(state, fileLink, fileMeta) {
         audioContainer.appendChild(fileName);
         audioContainer.appendChild(audio);
         container.appendChild(audioContainer);
+        
+        if (state.services) {
+            loadLightboxAudioArtwork(state, file, audioIcon, fileName).catch(error => {
+                if (error.name !== 'AbortError') console.warn(`Could not read audio tags of ${file.path}:`, error);
+            });
+        }
     }
 
     const thumbs = document.querySelectorAll('.memories-lightbox-thumb');
@@ -1562,6 +6274,8 @@ function updateMedia(state, fileLink, fileMeta) {
             thumb.classList.remove('active');
         }
     });
+
+    updateInfoPanel(state).catch(error => console.warn('Could not read file details:', error));
 }
 
 function isImage(filename) {